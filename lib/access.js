@@ -0,0 +1,229 @@
+/**
+ * Open Margins — Class access codes, rate limits and admin access
+ *
+ * Instructors create an access code per course; students enter it once in a
+ * tool and the front end sends it with every generation as an X-Access-Code
+ * header. Codes live in DATA_DIR/access-codes.json:
+ *
+ *   { code, course, label, expires, quota, perMinute, used, lastUsed, created, disabled }
+ *
+ *   expires    — YYYY-MM-DD, the last day the code works (null = never)
+ *   quota      — total generations allowed (null = unlimited)
+ *   perMinute  — generations per rolling minute (default RATE_LIMIT_PER_MINUTE)
+ *
+ *   requireAccessCode  → middleware for /api/generate (active when REQUIRE_ACCESS_CODE is set)
+ *   countGeneration    → counts a request the model answered (not a cached reply) against its quota
+ *   requireAdmin       → middleware for staff routes (ADMIN_TOKEN, or this machine only when
+ *                        access codes are off and the request was not forwarded by a proxy)
+ *   courseForCode      → the course of a working code, without counting a request
+ *   listCodes / createCode / updateCode / deleteCode → used by lib/routes/admin.js
+ *
+ * Refusals answer { error, code } where code is a stable reason the front
+ * ends can act on: access_code_required, access_code_invalid,
+ * access_code_expired, quota_exceeded or rate_limited.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR, REQUIRE_ACCESS_CODE, ADMIN_TOKEN, RATE_LIMIT_PER_MINUTE } = require('./config');
+const { HttpError } = require('./errors');
+const { createStore } = require('./store');
+const { DAY_RE, sameSecret } = require('./util');
+
+const CODES_FILE = path.join(DATA_DIR, 'access-codes.json');
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'; // no 0/O, 1/I/L
+
+// ── Store ─────────────────────────────────────────────────────────────────────
+// Usage counts change on every generation, so they are saved with saveSoon:
+// at most once a second, and on the way out
+const { load, save, saveSoon } = createStore(CODES_FILE, {
+  what: 'access codes',
+  empty: () => new Map(),
+  read: records => new Map(records.map(record => [record.code, record])),
+  write: codes => [...codes.values()],
+});
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function generateCode() {
+  const bytes = crypto.randomBytes(8);
+  const chars = [...bytes].map(b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+  return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
+
+// Validates the editable fields of a code; throws HttpError 400 on bad input.
+function cleanFields(fields) {
+  const out = {};
+  if ('course' in fields) {
+    out.course = String(fields.course || '').trim();
+    if (!out.course) throw new HttpError(400, 'course is required (e.g. "BIOL 1110").');
+  }
+  if ('label' in fields) out.label = String(fields.label || '').trim();
+  if ('expires' in fields) {
+    if (fields.expires && !DAY_RE.test(fields.expires)) throw new HttpError(400, 'expires must be a date in YYYY-MM-DD format.');
+    out.expires = fields.expires || null;
+  }
+  for (const key of ['quota', 'perMinute']) {
+    if (!(key in fields)) continue;
+    if (fields[key] === null || fields[key] === '') { out[key] = null; continue; }
+    const n = Number(fields[key]);
+    if (!Number.isInteger(n) || n < 1) throw new HttpError(400, `${key} must be a whole number of at least 1.`);
+    out[key] = n;
+  }
+  if ('disabled' in fields) out.disabled = fields.disabled === true;
+  return out;
+}
+
+function listCodes() {
+  return [...load().values()].sort((a, b) => b.created.localeCompare(a.created));
+}
+
+function createCode(fields) {
+  const clean = cleanFields({ course: fields.course, ...fields });
+  const code = fields.code ? normalizeCode(fields.code) : generateCode();
+  if (!/^[A-Z0-9-]{4,32}$/.test(code)) throw new HttpError(400, 'code may use only letters, digits and dashes (4–32 characters).');
+  if (load().has(code)) throw new HttpError(409, `Access code ${code} already exists.`);
+  const record = {
+    code,
+    course: clean.course,
+    label: clean.label || '',
+    expires: clean.expires || null,
+    quota: clean.quota ?? null,
+    perMinute: clean.perMinute ?? null,
+    used: 0,
+    lastUsed: null,
+    created: new Date().toISOString(),
+    disabled: false,
+  };
+  load().set(code, record);
+  save();
+  return record;
+}
+
+function updateCode(code, fields) {
+  const record = load().get(normalizeCode(code));
+  if (!record) throw new HttpError(404, `No access code ${normalizeCode(code)}.`);
+  Object.assign(record, cleanFields(fields));
+  if (fields.resetUsage === true) record.used = 0;
+  save();
+  return record;
+}
+
+function deleteCode(code) {
+  if (!load().delete(normalizeCode(code))) throw new HttpError(404, `No access code ${normalizeCode(code)}.`);
+  recent.delete(normalizeCode(code));
+  save();
+}
+
+// ── Enforcement ───────────────────────────────────────────────────────────────
+const recent = new Map(); // code → timestamps of generations in the last minute
+
+function isExpired(record) {
+  // A code works through the end of its expiry day, in the server's local time
+  return record.expires && new Date().toLocaleDateString('en-CA') > record.expires;
+}
+
+function refuse(res, status, code, error) {
+  res.status(status).json({ error, code });
+}
+
+// Checks the X-Access-Code header and the code's quota and rate limit, and
+// sets req.accessCode to the code's record. Every request counts towards
+// the rate limit; only those the model answers count towards the quota (see
+// countGeneration), so replies served from the cache are free.
+function requireAccessCode(req, res, next) {
+  if (!REQUIRE_ACCESS_CODE) return next();
+
+  const code = normalizeCode(req.get('X-Access-Code'));
+  if (!code) {
+    return refuse(res, 401, 'access_code_required', 'This server needs a class access code. Ask your instructor for one.');
+  }
+  const record = load().get(code);
+  if (!record || record.disabled) {
+    return refuse(res, 401, 'access_code_invalid', `The access code ${code} is not valid. Check it with your instructor.`);
+  }
+  if (isExpired(record)) {
+    return refuse(res, 401, 'access_code_expired', `The access code ${code} expired on ${record.expires}. Ask your instructor for a new one.`);
+  }
+  if (record.quota && record.used >= record.quota) {
+    return refuse(res, 429, 'quota_exceeded', `The access code ${code} has used all ${record.quota} of its requests. Ask your instructor to raise the limit.`);
+  }
+
+  const now = Date.now();
+  const perMinute = record.perMinute || RATE_LIMIT_PER_MINUTE;
+  const times = (recent.get(code) || []).filter(t => t > now - 60 * 1000);
+  if (times.length >= perMinute) {
+    res.set('Retry-After', String(Math.ceil((times[0] + 60 * 1000 - now) / 1000)));
+    return refuse(res, 429, 'rate_limited', `Too many requests with this access code — it allows ${perMinute} a minute. Wait a moment and try again.`);
+  }
+  times.push(now);
+  recent.set(code, times);
+
+  req.accessCode = record;
+  next();
+}
+
+// Counts a request the model answers against its access code's quota, once
+function countGeneration(req) {
+  const record = req.accessCode;
+  if (!record || req.generationCounted) return;
+  req.generationCounted = true;
+  record.used++;
+  record.lastUsed = new Date().toISOString();
+  saveSoon();
+}
+
+// The course a working code belongs to, or null for a missing, disabled or
+// expired code. Used to tag records that are not generations (lib/research.js).
+function courseForCode(code) {
+  const record = load().get(normalizeCode(code));
+  return record && !record.disabled && !isExpired(record) ? record.course : null;
+}
+
+// ── Admin access ──────────────────────────────────────────────────────────────
+const LOOPBACK = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+
+// Whether a browser sent the request from a page of another site. The API
+// answers any origin (CORS *) for the tools, so without this a page open in
+// the instructor's browser could read the admin routes on localhost.
+function crossSite(req) {
+  const site = req.get('Sec-Fetch-Site');
+  if (site && site !== 'same-origin' && site !== 'none') return true;
+  const origin = req.get('Origin');
+  if (!origin) return false;
+  try {
+    return new URL(origin).host !== req.get('host');
+  } catch {
+    return true; // "null" and other opaque origins
+  }
+}
+
+// With ADMIN_TOKEN set, staff routes need "Authorization: Bearer <token>".
+// Without it they answer only requests from the machine running the server,
+// and none at all on a shared server (REQUIRE_ACCESS_CODE on). A reverse
+// proxy's requests come from this machine too, so a request that was
+// forwarded (X-Forwarded-For or Forwarded) is never taken as local. Either
+// way, requests from other sites' pages are refused.
+function requireAdmin(req, res, next) {
+  if (crossSite(req)) {
+    return refuse(res, 403, 'admin_cross_site', 'Admin routes only answer the server\'s own admin pages.');
+  }
+  if (ADMIN_TOKEN) {
+    const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    if (token && sameSecret(token, ADMIN_TOKEN)) return next();
+    return refuse(res, 401, 'admin_token_required', 'This page needs the server\'s admin token.');
+  }
+  if (REQUIRE_ACCESS_CODE) {
+    return refuse(res, 403, 'admin_token_not_set', 'Admin routes are off on a server that requires access codes until ADMIN_TOKEN is set.');
+  }
+  const forwarded = req.get('X-Forwarded-For') || req.get('Forwarded');
+  if (LOOPBACK.has(req.socket.remoteAddress) && !forwarded) return next();
+  return refuse(res, 403, 'admin_local_only', 'Admin routes are only available on the server itself. Set ADMIN_TOKEN to manage it remotely.');
+}
+
+module.exports = {
+  requireAccessCode, countGeneration, requireAdmin, courseForCode,
+  listCodes, createCode, updateCode, deleteCode,
+};
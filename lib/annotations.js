@@ -0,0 +1,282 @@
+/**
+ * Open Margins — Shared annotations
+ *
+ * Lets a class read the same chapter together in Companion and see each
+ * other's margin notes and AI annotations, the way a Hypothesis group does.
+ * Anyone may start a group: they get a join code to hand out and an
+ * instructor key to keep. Stored in DATA_DIR/annotations.json:
+ *
+ *   { groups:      [{ id, name, course, joinCode, instructorKey, created }],
+ *     annotations: [{ id, group, document, author, name, role, visibility, mode,
+ *                     excerpt, charOffset, prefix, suffix, response, passages, replies, created, updated }] }
+ *
+ *   document    — which reading, as the page names it (a Pressbooks chapter, or a hash of the text)
+ *   author      — an HMAC of the X-Annotator id the browser made up, keyed with
+ *                 ANNOTATIONS_SECRET or DATA_DIR/annotations-secret; never sent back
+ *   prefix, suffix — the text just before and after the excerpt, so Companion
+ *                 can find the passage again after the reading changes
+ *   visibility  — private (its author only), group (everyone in the group)
+ *                 or instructor (its author and the group's instructors)
+ *   replies     — [{ id, author, name, role, text, created }], seen by whoever sees the annotation
+ *
+ *   createGroup({ name, course })          → { group, joinCode, instructorKey }
+ *   memberOf(groupKey, annotator)          → { group, role, author }  (role: student | instructor)
+ *   listAnnotations(member, document)      → what member may see, oldest first
+ *   createAnnotation(member, fields)       → the annotation as member sees it
+ *   updateAnnotation(member, id, fields)   → the same (authors only)
+ *   deleteAnnotation(member, id)           → (its author, or an instructor)
+ *   addReply(member, id, fields)           → the annotation, with the reply
+ *   deleteReply(member, id, replyId)       → the annotation (the reply's author, or an instructor)
+ *
+ * Annotations are returned with mine: true on the reader's own, so the page
+ * never needs another reader's id.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR, ANNOTATIONS_SECRET } = require('./config');
+const { HttpError } = require('./errors');
+const { createStore } = require('./store');
+const { sameSecret } = require('./util');
+
+const STORE_FILE = path.join(DATA_DIR, 'annotations.json');
+const SECRET_FILE = path.join(DATA_DIR, 'annotations-secret');
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'; // no 0/O, 1/I/L
+const VISIBILITIES = new Set(['private', 'group', 'instructor']);
+const MODE_RE = /^[\w-]{1,40}$/;
+const LIMITS = { name: 60, document: 500, excerpt: 5000, prefix: 200, suffix: 200, response: 50000, text: 5000 };
+const MAX_PASSAGES = 10;
+
+// ── Store ─────────────────────────────────────────────────────────────────────
+const { load, save } = createStore(STORE_FILE, {
+  what: 'shared annotations',
+  empty: () => ({ groups: [], annotations: [] }),
+  read: data => ({ groups: [], annotations: [], ...data }),
+});
+
+// ── Anonymous authors ─────────────────────────────────────────────────────────
+let secret = ANNOTATIONS_SECRET || null;
+
+// A random key kept beside the annotations, made on first use, so the stored
+// authors cannot be matched to reader ids by hashing guesses
+function authorKey() {
+  if (secret) return secret;
+  try {
+    secret = fs.readFileSync(SECRET_FILE, 'utf8').trim();
+  } catch {
+    secret = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(SECRET_FILE, secret, { mode: 0o600 });
+  }
+  return secret;
+}
+
+// Authors were once a plain sha256 of the reader id. The first time a reader
+// comes back, their annotations and replies move to the keyed hash.
+const claimed = new Set();
+
+function claimLegacy(annotator, author) {
+  if (claimed.has(author)) return;
+  claimed.add(author);
+  const legacy = crypto.createHash('sha256').update(annotator).digest('hex').slice(0, 24);
+  let moved = false;
+  for (const a of load().annotations) {
+    if (a.author === legacy) { a.author = author; moved = true; }
+    for (const r of a.replies) if (r.author === legacy) { r.author = author; moved = true; }
+  }
+  if (moved) save();
+}
+
+function authorOf(annotator) {
+  const author = crypto.createHmac('sha256', authorKey()).update(annotator).digest('hex').slice(0, 24);
+  claimLegacy(annotator, author);
+  return author;
+}
+
+function newId() {
+  return crypto.randomBytes(9).toString('base64url');
+}
+
+function generateJoinCode() {
+  const chars = [...crypto.randomBytes(8)].map(b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+  return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
+
+// ── Fields ────────────────────────────────────────────────────────────────────
+function text(fields, key, { required = false } = {}) {
+  const value = String(fields[key] ?? '').trim();
+  if (required && !value) throw new HttpError(400, `${key} is required.`);
+  if (value.length > LIMITS[key]) throw new HttpError(400, `${key} may be at most ${LIMITS[key]} characters.`);
+  return value;
+}
+
+// Surrounding text of an excerpt, kept as sent: its spaces matter when matching
+function context(fields, key) {
+  const value = String(fields[key] ?? '');
+  if (value.length > LIMITS[key]) throw new HttpError(400, `${key} may be at most ${LIMITS[key]} characters.`);
+  return value;
+}
+
+function visibilityOf(fields) {
+  const visibility = fields.visibility ?? 'group';
+  if (!VISIBILITIES.has(visibility)) throw new HttpError(400, `visibility must be one of: ${[...VISIBILITIES].join(', ')}.`);
+  return visibility;
+}
+
+// Only what an annotation card shows of a related passage: its number and where it came from
+function passagesOf(list) {
+  if (!Array.isArray(list)) return [];
+  return list.slice(0, MAX_PASSAGES).map(p => ({
+    n: Number.isInteger(p?.n) ? p.n : 0,
+    source: String(p?.source ?? '').slice(0, 200),
+    section: String(p?.section ?? '').slice(0, 200),
+  }));
+}
+
+// ── Groups ────────────────────────────────────────────────────────────────────
+function createGroup({ name, course }) {
+  const group = {
+    id: newId(),
+    name: text({ name }, 'name', { required: true }),
+    course: course || '',
+    joinCode: generateJoinCode(),
+    instructorKey: crypto.randomBytes(18).toString('base64url'),
+    created: new Date().toISOString(),
+  };
+  load().groups.push(group);
+  save();
+  return { group: publicGroup(group), joinCode: group.joinCode, instructorKey: group.instructorKey };
+}
+
+function publicGroup(group) {
+  return { id: group.id, name: group.name, course: group.course };
+}
+
+// The group a key opens, and as whom: the join code makes a student, the
+// instructor key an instructor. annotator is the browser's own random id.
+function memberOf(groupKey, annotator) {
+  const key = String(groupKey || '').trim();
+  if (!key) throw new HttpError(401, 'Join a class group first.');
+  const joinCode = key.toUpperCase();
+  const byCode = load().groups.find(g => g.joinCode === joinCode);
+  const byKey = byCode ? null : load().groups.find(g => sameSecret(g.instructorKey, key));
+  const group = byCode || byKey;
+  if (!group) throw new HttpError(404, 'No class group has that code. Check it with your instructor.');
+  if (typeof annotator !== 'string' || !/^[\w-]{8,64}$/.test(annotator)) {
+    throw new HttpError(400, 'X-Annotator must be the random id the page made (8–64 letters, digits, - or _).');
+  }
+  return {
+    group: publicGroup(group),
+    role: byKey ? 'instructor' : 'student',
+    author: authorOf(annotator),
+  };
+}
+
+// ── Annotations ───────────────────────────────────────────────────────────────
+function canSee(a, member) {
+  if (a.group !== member.group.id) return false;
+  if (a.author === member.author || a.visibility === 'group') return true;
+  return a.visibility === 'instructor' && member.role === 'instructor';
+}
+
+// What a reader is sent: authors become mine: true/false
+function view(a, member) {
+  const { author, group, replies, ...rest } = a;
+  return {
+    ...rest,
+    mine: author === member.author,
+    replies: replies.map(({ author: replyAuthor, ...reply }) => ({ ...reply, mine: replyAuthor === member.author })),
+  };
+}
+
+function find(member, id) {
+  const a = load().annotations.find(x => x.id === id);
+  if (!a || !canSee(a, member)) throw new HttpError(404, 'No such annotation in this group.');
+  return a;
+}
+
+function listAnnotations(member, document) {
+  const doc = text({ document }, 'document', { required: true });
+  return load().annotations.filter(a => a.document === doc && canSee(a, member)).map(a => view(a, member));
+}
+
+function createAnnotation(member, fields) {
+  const mode = fields.mode;
+  if (typeof mode !== 'string' || !MODE_RE.test(mode)) throw new HttpError(400, 'mode must be a short name (letters, digits, - or _).');
+  const charOffset = fields.charOffset ?? null;
+  if (charOffset !== null && !(Number.isInteger(charOffset) && charOffset >= 0)) throw new HttpError(400, 'charOffset must be a whole number of at least 0.');
+  const now = new Date().toISOString();
+  const a = {
+    id: newId(),
+    group: member.group.id,
+    document: text(fields, 'document', { required: true }),
+    author: member.author,
+    name: text(fields, 'name') || 'Anonymous reader',
+    role: member.role,
+    visibility: visibilityOf(fields),
+    mode,
+    excerpt: text(fields, 'excerpt', { required: true }),
+    charOffset,
+    prefix: context(fields, 'prefix'),
+    suffix: context(fields, 'suffix'),
+    response: text(fields, 'response'),
+    passages: passagesOf(fields.passages),
+    replies: [],
+    created: now,
+    updated: now,
+  };
+  load().annotations.push(a);
+  save();
+  return view(a, member);
+}
+
+function updateAnnotation(member, id, fields) {
+  const a = find(member, id);
+  if (a.author !== member.author) throw new HttpError(403, 'Only its author can change an annotation.');
+  if ('response' in fields) a.response = text(fields, 'response');
+  if ('passages' in fields) a.passages = passagesOf(fields.passages);
+  if ('visibility' in fields) a.visibility = visibilityOf(fields);
+  if ('name' in fields) a.name = text(fields, 'name') || a.name;
+  a.updated = new Date().toISOString();
+  save();
+  return view(a, member);
+}
+
+function deleteAnnotation(member, id) {
+  const a = find(member, id);
+  if (a.author !== member.author && member.role !== 'instructor') throw new HttpError(403, 'Only its author or an instructor can delete an annotation.');
+  const all = load().annotations;
+  all.splice(all.indexOf(a), 1);
+  save();
+}
+
+function addReply(member, id, fields) {
+  const a = find(member, id);
+  a.replies.push({
+    id: newId(),
+    author: member.author,
+    name: text(fields, 'name') || 'Anonymous reader',
+    role: member.role,
+    text: text(fields, 'text', { required: true }),
+    created: new Date().toISOString(),
+  });
+  save();
+  return view(a, member);
+}
+
+function deleteReply(member, id, replyId) {
+  const a = find(member, id);
+  const i = a.replies.findIndex(r => r.id === replyId);
+  if (i < 0) throw new HttpError(404, 'No such reply.');
+  if (a.replies[i].author !== member.author && member.role !== 'instructor') throw new HttpError(403, 'Only its author or an instructor can delete a reply.');
+  a.replies.splice(i, 1);
+  save();
+  return view(a, member);
+}
+
+module.exports = {
+  createGroup, memberOf,
+  listAnnotations, createAnnotation, updateAnnotation, deleteAnnotation,
+  addReply, deleteReply,
+};
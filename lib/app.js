@@ -0,0 +1,109 @@
+/**
+ * Open Margins — App factory
+ *
+ * Builds the Express app shared by every server in the suite: one set of
+ * middleware, one set of /api routes, and the pages for whichever tools
+ * the caller asks for.
+ *
+ *   createApp()                          → whole suite (root server.js)
+ *   createApp({ tools: ['companion'] })  → one tool, served at / (tool server.js)
+ *
+ * listen(app, { title }) starts the server and prints the endpoint banner.
+ */
+
+const express = require('express');
+const cors = require('cors');
+const { PORT, API_KEY, AI_PROVIDER, REQUIRE_ACCESS_CODE, ADMIN_TOKEN, RESEARCH_LOGGING, requireApiKey } = require('./config');
+const { getProvider, resolveModel } = require('./providers');
+const { TOOLS, SITE_PAGES, ADMIN_PAGES, getTool, sendPage } = require('./tools');
+
+function createApp({ tools = Object.keys(TOOLS) } = {}) {
+  const standalone = tools.length === 1;
+  const app = express();
+
+  app.use(cors({ origin: '*' }));
+  app.use(express.json({ limit: '4mb' }));
+
+  // ── Health check ────────────────────────────────────────────────────────────
+  app.get('/api/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      message: 'Open Margins proxy is running.',
+      tools,
+      provider: AI_PROVIDER,
+      model: resolveModel(null),
+      accessCodeRequired: REQUIRE_ACCESS_CODE,
+    });
+  });
+
+  // ── Shared API routes ───────────────────────────────────────────────────────
+  app.use('/api', require('./routes/generate'));
+  app.use('/api', require('./routes/pressbooks'));
+  app.use('/api', require('./routes/fetch-url'));
+  app.use('/api', require('./routes/extract'));
+  app.use('/api', require('./routes/packages'));
+  app.use('/api', require('./routes/usage'));
+  app.use('/api', require('./routes/admin'));
+  app.use('/api', require('./routes/prompts'));
+  app.use('/api', require('./routes/research'));
+  app.use('/api', require('./routes/annotations'));
+  app.use('/api', require('./routes/lenses'));
+
+  // ── Tool pages ──────────────────────────────────────────────────────────────
+  for (const id of tools) {
+    const tool = getTool(id);
+    const pagePaths = tool.pages.map(page => (tool.dir === '.' ? `/${page}` : `/${tool.dir}/${page}`));
+
+    // Pages answer at their own repository paths so the suite's relative
+    // links keep working (e.g. ../nova/nova.html, tru-oer-activity-builder.html);
+    // /<id> redirects to the tool's main page.
+    tool.pages.forEach((page, i) => app.get(pagePaths[i], sendPage(tool.dir, page, tool)));
+    app.get(`/${id}`, (req, res) => res.redirect(pagePaths[0]));
+  }
+
+  // ── Staff pages ─────────────────────────────────────────────────────────────
+  for (const [name, page] of Object.entries(ADMIN_PAGES)) {
+    app.get(`/admin/${name}`, sendPage('admin', page, { noStore: true }));
+  }
+
+  // ── Root → the tool itself, or the suite home page ──────────────────────────
+  if (standalone) {
+    const tool = getTool(tools[0]);
+    app.get('/', sendPage(tool.dir, tool.pages[0], tool));
+  } else {
+    app.get('/', sendPage('.', 'index.html'));
+    for (const page of SITE_PAGES) app.get(`/${page}`, sendPage('.', page));
+  }
+
+  return app;
+}
+
+function listen(app, { title }) {
+  requireApiKey();
+  getProvider(); // fail fast on an unknown AI_PROVIDER
+  return app.listen(PORT, () => {
+    console.log(`\n  ${title}`);
+    console.log(`  Open in your browser → http://localhost:${PORT}`);
+    console.log(`  AI endpoint:          POST http://localhost:${PORT}/api/generate`);
+    console.log(`  Books endpoint:       GET  http://localhost:${PORT}/api/books`);
+    console.log(`  TOC endpoint:         GET  http://localhost:${PORT}/api/toc?bookUrl=...`);
+    console.log(`  Chapter endpoint:     GET  http://localhost:${PORT}/api/chapter?bookUrl=...&chapterId=...`);
+    console.log(`  Fetch URL endpoint:   GET  http://localhost:${PORT}/api/fetch-url?url=...`);
+    console.log(`  Extract endpoint:     POST http://localhost:${PORT}/api/extract?filename=...`);
+    console.log(`  Package import:       POST http://localhost:${PORT}/api/packages?filename=...`);
+    console.log(`  Shared annotations:   GET  http://localhost:${PORT}/api/annotations?document=...`);
+    console.log(`  Usage report:         GET  http://localhost:${PORT}/admin/usage`);
+    console.log(`  Access codes:         GET  http://localhost:${PORT}/admin/codes`);
+    console.log(`  Prompt templates:     GET  http://localhost:${PORT}/admin/prompts`);
+    console.log(`  Companion lenses:     GET  http://localhost:${PORT}/admin/lenses`);
+    if (RESEARCH_LOGGING) console.log(`  Research log:         GET  http://localhost:${PORT}/admin/research (opt-in logging is ON)`);
+    console.log(`  Access codes ${REQUIRE_ACCESS_CODE ? 'required' : 'NOT required (set REQUIRE_ACCESS_CODE=true before sharing this server)'}; admin pages ${ADMIN_TOKEN ? 'need ADMIN_TOKEN' : REQUIRE_ACCESS_CODE ? 'OFF (set ADMIN_TOKEN to use them)' : 'open to this machine only'}`);
+    if (AI_PROVIDER === 'anthropic') {
+      console.log(`  API key: ${API_KEY.slice(0, 12)}…\n`);
+    } else {
+      console.log(`  AI provider: ${AI_PROVIDER} (model: ${resolveModel(null)})\n`);
+    }
+  });
+}
+
+module.exports = { createApp, listen };
@@ -0,0 +1,276 @@
+/**
+ * Open Margins — Main-article extraction for fetched web pages
+ *
+ * A readability-style pass for /api/fetch-url. It removes page chrome (nav
+ * menus, site headers and footers, sidebars, cookie and newsletter banners),
+ * picks the element that holds the article's paragraphs, and reads the
+ * page's metadata:
+ *
+ *   extractArticle(html, { url }) →
+ *     { title, byline, published, license, siteName, blocks }
+ *
+ * byline, published (YYYY-MM-DD when it parses) and siteName are strings or
+ * null. license is { name, url } or null — taken from rel="license" links,
+ * Dublin Core / dcterms meta tags, or JSON-LD; Creative Commons URLs get
+ * their short name ("CC BY-SA 4.0"). blocks is empty when no article was
+ * found, and the caller falls back to the whole page.
+ */
+
+const { parseDocument, DomUtils } = require('htmlparser2');
+const { nodesToBlocks } = require('./html');
+
+// ── Page chrome ───────────────────────────────────────────────────────────────
+const CHROME_TAGS = new Set([
+  'nav', 'aside', 'footer', 'form', 'button', 'dialog', 'select', 'input',
+  'script', 'style', 'noscript', 'template', 'iframe', 'svg',
+]);
+const CHROME_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'complementary', 'search', 'dialog', 'alertdialog', 'menu', 'menubar']);
+// Always chrome, whatever else the class says ("cookie-content" is still a banner)
+const ALWAYS_CHROME = /cookie|consent|gdpr|newsletter|subscribe|signup|paywall|popup|modal|skip-link|screen-reader-text|visually-hidden/i;
+const UNLIKELY = /banner|breadcrumb|combx|comment|community|disqus|extra|footer|header|masthead|menu|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|share|sharing|advert|\bads?\b|promo|pagination|pager|toolbar|widget|tags/i;
+const LIKELY = /article|body|column|content|main|post|entry|story|text|chapter/i;
+const POSITIVE = /article|body|content|entry|main|page|post|text|blog|story|chapter/i;
+
+function signature(el) {
+  return `${el.attribs?.class || ''} ${el.attribs?.id || ''}`;
+}
+
+function hasAncestor(el, name) {
+  for (let p = el.parent; p; p = p.parent) if (p.name === name) return true;
+  return false;
+}
+
+function isChrome(el) {
+  if (el.name === 'body' || el.name === 'html' || el.name === 'article' || el.name === 'main') return false;
+  if (CHROME_TAGS.has(el.name)) return true;
+  // A page-level <header> is the site masthead; one inside <article> holds its title and byline
+  if (el.name === 'header' && !hasAncestor(el, 'article')) return true;
+  const a = el.attribs || {};
+  if (CHROME_ROLES.has((a.role || '').toLowerCase())) return true;
+  if ('hidden' in a || a['aria-hidden'] === 'true' || /display\s*:\s*none/i.test(a.style || '')) return true;
+  const sig = signature(el);
+  if (ALWAYS_CHROME.test(sig)) return true;
+  return UNLIKELY.test(sig) && !LIKELY.test(sig);
+}
+
+function removeChrome(root) {
+  for (const el of DomUtils.findAll(isChrome, root.children)) {
+    if (el.parent) DomUtils.removeElement(el);
+  }
+}
+
+// ── Choosing the article ──────────────────────────────────────────────────────
+function textOf(el) {
+  return DomUtils.textContent(el).replace(/\s+/g, ' ').trim();
+}
+
+function linkDensity(el) {
+  const length = textOf(el).length;
+  if (!length) return 0;
+  const linked = DomUtils.findAll(n => n.name === 'a', el.children)
+    .reduce((sum, a) => sum + textOf(a).length, 0);
+  return linked / length;
+}
+
+function baseScore(el) {
+  let score = 0;
+  if (el.name === 'div' || el.name === 'article' || el.name === 'section') score += 5;
+  else if (['pre', 'td', 'blockquote'].includes(el.name)) score += 3;
+  else if (['address', 'ol', 'ul', 'dl', 'dd', 'dt', 'li'].includes(el.name)) score -= 3;
+  else if (/^h[1-6]$|^th$/.test(el.name)) score -= 5;
+  const sig = signature(el);
+  if (POSITIVE.test(sig)) score += 25;
+  if (UNLIKELY.test(sig)) score -= 25;
+  return score;
+}
+
+// Each paragraph scores its parent in full, its grandparent by half and the
+// level above by a third: 1 point, plus one per comma, plus one per 100
+// characters (up to 3). The best container, discounted by how much of its
+// text is links, is the article.
+function scoreCandidates(root) {
+  const scores = new Map();
+  const add = (el, points) => {
+    if (!el || el.type !== 'tag') return;
+    if (!scores.has(el)) scores.set(el, baseScore(el));
+    scores.set(el, scores.get(el) + points);
+  };
+  for (const p of DomUtils.findAll(n => ['p', 'pre', 'td'].includes(n.name), root.children)) {
+    const text = textOf(p);
+    if (text.length < 25) continue;
+    const points = 1 + (text.match(/,/g) || []).length + Math.min(3, Math.floor(text.length / 100));
+    add(p.parent, points);
+    add(p.parent?.parent, points / 2);
+    add(p.parent?.parent?.parent, points / 3);
+  }
+  for (const [el, score] of scores) scores.set(el, score * (1 - linkDensity(el)));
+  return scores;
+}
+
+// The top candidate plus any siblings that look like part of the same text
+// (a lead paragraph or figure that sits beside the main wrapper).
+function pickContent(root) {
+  const scores = scoreCandidates(root);
+  let top = null;
+  for (const [el, score] of scores) if (!top || score > scores.get(top)) top = el;
+  if (!top) return [];
+
+  const topScore = scores.get(top);
+  const threshold = Math.max(10, topScore * 0.2);
+  const siblings = top.parent ? top.parent.children : [top];
+  return siblings.filter(el => {
+    if (el === top) return true;
+    if (el.type !== 'tag') return false;
+    if ((scores.get(el) || 0) >= threshold) return true;
+    if (el.name !== 'p') return false;
+    const text = textOf(el);
+    return (text.length > 80 && linkDensity(el) < 0.25) || (text.length > 0 && linkDensity(el) === 0 && /\.( |$)/.test(text));
+  });
+}
+
+function findContent(doc) {
+  const body = DomUtils.findOne(n => n.name === 'body', doc.children, true) || doc;
+  removeChrome(body);
+
+  // A single <article> (or articleBody) with real text is taken as-is
+  const articles = DomUtils.findAll(n => n.name === 'article' || n.attribs?.itemprop === 'articleBody', body.children);
+  if (articles.length === 1 && textOf(articles[0]).length >= 250) return [articles[0]];
+
+  const main = DomUtils.findOne(n => n.name === 'main' || n.attribs?.role === 'main', body.children, true);
+  return pickContent(main || body);
+}
+
+// ── Metadata ──────────────────────────────────────────────────────────────────
+function metaContent(doc, ...names) {
+  const wanted = names.map(n => n.toLowerCase());
+  for (const name of wanted) {
+    const meta = DomUtils.findOne(n => n.name === 'meta'
+      && (n.attribs.name || n.attribs.property || n.attribs.itemprop || '').toLowerCase() === name
+      && n.attribs.content?.trim(), doc.children, true);
+    if (meta) return meta.attribs.content.trim();
+  }
+  return null;
+}
+
+// JSON-LD objects, with @graph arrays flattened
+function jsonLd(doc) {
+  const items = [];
+  for (const script of DomUtils.findAll(n => n.name === 'script' && /ld\+json/i.test(n.attribs.type || ''), doc.children)) {
+    try {
+      const data = JSON.parse(DomUtils.textContent(script));
+      for (const item of [data].flat()) items.push(...(item['@graph'] ? [item['@graph']].flat() : [item]));
+    } catch { /* malformed JSON-LD is common; ignore it */ }
+  }
+  const isArticle = item => [item['@type']].flat().some(t => /Article|BlogPosting|Report|Chapter|CreativeWork|WebPage/.test(t || ''));
+  return items.filter(item => item && typeof item === 'object').sort((a, b) => isArticle(b) - isArticle(a));
+}
+
+function personNames(value) {
+  return [value].flat().map(v => (typeof v === 'string' ? v : v?.name)).filter(n => typeof n === 'string' && n.trim());
+}
+
+function findByline(doc, ld) {
+  const fromMeta = metaContent(doc, 'author', 'dc.creator', 'citation_author', 'parsely-author', 'sailthru.author');
+  if (fromMeta && !/^https?:/i.test(fromMeta)) return fromMeta;
+  for (const item of ld) {
+    const names = personNames(item.author || item.creator);
+    if (names.length) return names.join(', ');
+  }
+  const candidates = DomUtils.findAll(n => n.name !== 'body' && n.name !== 'html' && (
+    (n.attribs.rel || '').split(/\s+/).includes('author')
+    || n.attribs.itemprop === 'author'
+    || /\bbyline\b|\bauthor\b/i.test(signature(n))), doc.children);
+  for (const el of candidates) {
+    const named = DomUtils.findOne(n => n.attribs.itemprop === 'name', el.children, true) || el;
+    const text = textOf(named).replace(/^by\s+/i, '');
+    if (text && text.length <= 100) return text;
+  }
+  return null;
+}
+
+function normaliseDate(raw) {
+  if (!raw) return null;
+  const iso = raw.match(/^\d{4}-\d{2}-\d{2}/);
+  if (iso) return iso[0];
+  const date = new Date(raw);
+  return Number.isNaN(date.getTime()) ? raw.trim() : date.toISOString().slice(0, 10);
+}
+
+function findPublished(doc, ld) {
+  const fromMeta = metaContent(doc, 'article:published_time', 'datePublished', 'citation_publication_date',
+    'dc.date.issued', 'dcterms.issued', 'dc.date', 'date', 'pubdate', 'publish-date', 'sailthru.date');
+  if (fromMeta) return normaliseDate(fromMeta);
+  const fromLd = ld.find(item => typeof item.datePublished === 'string');
+  if (fromLd) return normaliseDate(fromLd.datePublished);
+  const time = DomUtils.findOne(n => (n.name === 'time' && ('pubdate' in n.attribs || n.attribs.itemprop === 'datePublished'))
+    || (n.attribs.itemprop === 'datePublished'), doc.children, true);
+  return time ? normaliseDate(time.attribs.datetime || time.attribs.content || textOf(time)) : null;
+}
+
+// "CC BY-SA 4.0" for a Creative Commons license URL, or null
+function creativeCommonsName(url) {
+  const m = url.match(/creativecommons\.org\/(licenses|publicdomain)\/([a-z-]+)\/(\d+(?:\.\d+)?)?/i);
+  if (!m) return null;
+  const [, kind, code, version] = m;
+  const name = kind.toLowerCase() === 'licenses' ? `CC ${code.toUpperCase()}`
+    : code.toLowerCase() === 'zero' ? 'CC0'
+    : code.toLowerCase() === 'mark' ? 'Public Domain Mark'
+    : `CC ${code}`;
+  return version ? `${name} ${version}` : name;
+}
+
+function resolve(href, baseUrl) {
+  try { return new URL(href, baseUrl || undefined).href; }
+  catch { return href; }
+}
+
+function licenseFrom(href, label, baseUrl) {
+  const url = /^(https?:)?\/\/|^\//.test(href) ? resolve(href, baseUrl) : null;
+  const name = (url && creativeCommonsName(url)) || (label && label.length <= 80 ? label : null) || (url ? new URL(url).hostname : href);
+  return { name, url };
+}
+
+function findLicense(doc, ld, baseUrl) {
+  const links = DomUtils.findAll(n => (n.name === 'a' || n.name === 'link')
+    && (n.attribs.rel || '').toLowerCase().split(/\s+/).includes('license') && n.attribs.href, doc.children);
+  // Prefer a Creative Commons link when a page has several
+  const link = links.find(l => creativeCommonsName(resolve(l.attribs.href, baseUrl))) || links[0];
+  if (link) return licenseFrom(link.attribs.href, textOf(link), baseUrl);
+
+  const fromMeta = metaContent(doc, 'dcterms.license', 'dc.rights', 'dcterms.rights', 'citation_license', 'license');
+  if (fromMeta) return licenseFrom(fromMeta, fromMeta, baseUrl);
+
+  for (const item of ld) {
+    const license = typeof item.license === 'string' ? item.license : item.license?.url || item.license?.['@id'];
+    if (license) return licenseFrom(license, item.license?.name || license, baseUrl);
+  }
+  return null;
+}
+
+function findTitle(doc, ld) {
+  const title = metaContent(doc, 'og:title', 'twitter:title', 'citation_title', 'dc.title')
+    || ld.find(item => typeof item.headline === 'string')?.headline;
+  if (title) return title;
+  const el = DomUtils.findOne(n => n.name === 'title', doc.children, true)
+    || DomUtils.findOne(n => n.name === 'h1', doc.children, true);
+  return el ? textOf(el) : null;
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+function extractArticle(html, { url } = {}) {
+  const doc = parseDocument(html);
+  const ld = jsonLd(doc);
+  const meta = {
+    title: findTitle(doc, ld),
+    byline: findByline(doc, ld),
+    published: findPublished(doc, ld),
+    license: findLicense(doc, ld, url),
+    siteName: metaContent(doc, 'og:site_name', 'application-name')
+      || ld.map(item => item.publisher?.name).find(n => typeof n === 'string') || null,
+  };
+  // Chrome is removed only after the metadata is read — bylines and license
+  // links often live in headers and footers
+  return { ...meta, blocks: nodesToBlocks(findContent(doc), { baseUrl: url }) };
+}
+
+module.exports = { extractArticle };
@@ -0,0 +1,81 @@
+/**
+ * Open Margins — Disk-backed response cache
+ *
+ *   const cache = createCache('pressbooks', { ttl: 60 * 60 * 1000 });
+ *   await cache.get(key)               → value, or undefined when missing/expired
+ *   await cache.set(key, value, ttl?)  → stores value for ttl ms (default: the cache's ttl)
+ *
+ * Each entry is one JSON file under CACHE_DIR/<namespace>/, named by a hash
+ * of its key, so entries survive restarts and can be cleared with rm -rf.
+ * Expired entries are removed when read and once at startup.
+ *
+ * Set CACHE=off to disable caching entirely. Callers honour a per-request
+ * bypass via wantsFresh(req): ?fresh=1, { "fresh": true } in a JSON body,
+ * or a Cache-Control: no-cache request header.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { CACHE_DIR, CACHE_ENABLED } = require('./config');
+const { writeFileAtomic } = require('./store');
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(typeof key === 'string' ? key : JSON.stringify(key)).digest('hex');
+}
+
+function createCache(namespace, { ttl }) {
+  const dir = path.join(CACHE_DIR, namespace);
+  const fileFor = key => path.join(dir, `${hashKey(key)}.json`);
+
+  if (CACHE_ENABLED) prune(dir).catch(() => {});
+
+  return {
+    async get(key) {
+      if (!CACHE_ENABLED) return undefined;
+      let entry;
+      try {
+        entry = JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+      } catch {
+        return undefined; // missing or unreadable — treat as a miss
+      }
+      if (entry.expires < Date.now()) {
+        fs.unlink(fileFor(key)).catch(() => {});
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, entryTtl = ttl) {
+      if (!CACHE_ENABLED) return;
+      try {
+        // Written whole, so a concurrent reader never sees half a file
+        await writeFileAtomic(fileFor(key), JSON.stringify({ key, expires: Date.now() + entryTtl, value }));
+      } catch (err) {
+        console.error(`Cache write failed (${namespace}):`, err.message);
+      }
+    },
+  };
+}
+
+async function prune(dir) {
+  const files = await fs.readdir(dir);
+  const now = Date.now();
+  for (const name of files) {
+    const file = path.join(dir, name);
+    try {
+      const { expires } = JSON.parse(await fs.readFile(file, 'utf8'));
+      if (expires < now) await fs.unlink(file);
+    } catch {
+      await fs.unlink(file).catch(() => {});
+    }
+  }
+}
+
+function wantsFresh(req) {
+  return req.query?.fresh === '1'
+    || req.body?.fresh === true
+    || /no-cache/i.test(req.get('Cache-Control') || '');
+}
+
+module.exports = { createCache, hashKey, wantsFresh };
@@ -0,0 +1,192 @@
+/**
+ * Open Margins — Long readings
+ *
+ * Splits long source text into sections on its structural boundaries, so a
+ * whole chapter, book part or multi-source tray can be worked through
+ * section by section (map-reduce generation in lib/routes/generate.js).
+ *
+ *   chunkText(text, { maxChars })        → [{ index, heading, text }]
+ *   passageContext(text, passage, opts)  → the section around a passage
+ *   notesDigest(chunks, notes)           → per-section notes as one text
+ *   allocate(chunks, count)              → how many list items to ask each section for
+ *   mergeLists(lists, wanted, limit)     → JSON arrays from each section, merged
+ *
+ * Boundaries, strongest first: sources in a multi-source tray (=== Label ===),
+ * Markdown headings (# to ######, from typed blocks), page and slide markers
+ * ([Page 3], [Slide 12]), paragraphs, then sentences. A section never splits
+ * at a weaker boundary when a stronger one gives pieces that fit. A section
+ * that starts part-way through a page or slide is prefixed with its marker,
+ * so citations still work.
+ */
+
+const CHUNK_CHARS = 12000;       // one section per map request (~3,000 tokens)
+const SINGLE_PASS_CHARS = 30000; // readings up to this size go in one request
+
+const BOUNDARIES = [
+  /^(?==== .+ ===$)/m,
+  /^(?=# )/m,
+  /^(?=## )/m,
+  /^(?=### )/m,
+  /^(?=#{4,6} )/m,
+  /^(?=\[(?:Page|Slide) \d+\]$)/m,
+  /(?<=\n[ \t]*\n)/,
+  /(?<=[.!?]["'”’)\]]?\s+)/,
+];
+const HEADING = /^(?:#{1,6} (.+)|=== (.+) ===)$/gm;
+const LOCATION = /^\[(?:Page|Slide) \d+\]$/gm;
+
+// ── Splitting ─────────────────────────────────────────────────────────────────
+// Pieces keep their separators, so joining them gives back the original text.
+function split(text, maxChars, level) {
+  if (text.length <= maxChars) return [text];
+  if (level >= BOUNDARIES.length) {
+    const pieces = [];
+    for (let i = 0; i < text.length; i += maxChars) pieces.push(text.slice(i, i + maxChars));
+    return pieces;
+  }
+  const pieces = text.split(BOUNDARIES[level]).filter(Boolean);
+  if (pieces.length === 1) return split(text, maxChars, level + 1);
+
+  const out = [];
+  let current = '';
+  for (const piece of pieces) {
+    if (piece.length > maxChars) {
+      // A short lead-in (a heading, a source label) joins the first piece after it
+      const sub = split(piece, maxChars, level + 1);
+      if (current && current.length + sub[0].length <= maxChars) sub[0] = current + sub[0];
+      else if (current) out.push(current);
+      current = sub.pop();
+      out.push(...sub);
+    } else if (current.length + piece.length > maxChars) {
+      out.push(current);
+      current = piece;
+    } else {
+      current += piece;
+    }
+  }
+  if (current) out.push(current);
+  return out;
+}
+
+// The last match of re that starts before offset, or null
+function lastBefore(re, text, offset) {
+  let found = null;
+  for (const m of text.matchAll(re)) {
+    if (m.index >= offset) break;
+    found = m;
+  }
+  return found;
+}
+
+// Sections with where each starts and ends in text
+function sections(text, maxChars) {
+  const out = [];
+  let offset = 0;
+  for (const piece of split(text, maxChars, 0)) {
+    const start = offset;
+    offset += piece.length;
+    let body = piece.trim();
+    if (!body) continue;
+
+    // The heading in force: this section's own first heading, else the one before it
+    const own = body.match(/^(?:#{1,6} (.+)|=== (.+) ===)$/m);
+    const before = lastBefore(HEADING, text, start);
+    const heading = own && own.index === 0 ? own[1] || own[2] : before ? before[1] || before[2] : '';
+
+    const location = lastBefore(LOCATION, text, start);
+    if (location && !/^\[(?:Page|Slide) \d+\]$/.test(body.split('\n')[0])) body = `${location[0]}\n${body}`;
+
+    out.push({ index: out.length, heading: heading.trim(), text: body, start, end: offset });
+  }
+  return out;
+}
+
+function chunkText(text, { maxChars = CHUNK_CHARS } = {}) {
+  return sections(text, maxChars).map(({ index, heading, text: body }) => ({ index, heading, text: body }));
+}
+
+// ── Passage context ───────────────────────────────────────────────────────────
+// The section of text that contains passage (matched loosely on whitespace),
+// or the first section when the passage cannot be found.
+function passageContext(text, passage, { maxChars = 6000 } = {}) {
+  if (text.length <= maxChars) return text;
+  const all = sections(text, maxChars);
+  const probe = String(passage || '').trim().slice(0, 120)
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\s+/g, '\\s+');
+  const at = probe ? text.search(new RegExp(probe)) : -1;
+  const found = all.find(c => at >= c.start && at < c.end) || all[0];
+  return found.text;
+}
+
+// ── Merging ───────────────────────────────────────────────────────────────────
+function notesDigest(chunks, notes) {
+  const sections = chunks.map((c, i) => [
+    `## Section ${i + 1} of ${chunks.length}${c.heading ? `: ${c.heading}` : ''}`,
+    notes[i].trim(),
+  ].join('\n'));
+  return [
+    `[This reading was too long to send whole, so it was condensed section by section. Notes on all ${chunks.length} sections follow, in reading order.]`,
+    ...sections,
+  ].join('\n\n');
+}
+
+// Splits count items across sections in proportion to their length (largest
+// remainder), so a question bank covers the reading evenly.
+function allocate(chunks, count) {
+  const total = chunks.reduce((n, c) => n + c.text.length, 0) || 1;
+  const shares = chunks.map(c => (count * c.text.length) / total);
+  const counts = shares.map(Math.floor);
+  const order = shares.map((s, i) => i).sort((a, b) => (shares[b] - counts[b]) - (shares[a] - counts[a]));
+  for (let left = count - counts.reduce((a, b) => a + b, 0), k = 0; left > 0; left--, k++) counts[order[k % order.length]]++;
+  return counts;
+}
+
+// A JSON array from a model reply, ignoring code fences and any prose around it
+function parseList(text) {
+  const cleaned = String(text || '').replace(/^```(?:json)?\s*/im, '').replace(/\s*```\s*$/im, '').trim();
+  const start = cleaned.indexOf('[');
+  const end = cleaned.lastIndexOf(']');
+  if (start === -1 || end < start) return null;
+  try {
+    const list = JSON.parse(cleaned.slice(start, end + 1));
+    return Array.isArray(list) ? list : null;
+  } catch {
+    return null;
+  }
+}
+
+// Items are compared on their first text field (question, statement, term…)
+function itemKey(item) {
+  const first = item && typeof item === 'object' ? Object.values(item).find(v => typeof v === 'string') : item;
+  return String(first ?? JSON.stringify(item)).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Takes up to wanted[i] items from each section's list in reading order,
+// skipping duplicates, then tops up from the spares until limit is reached.
+function mergeLists(lists, wanted, limit) {
+  const seen = new Set();
+  const taken = lists.map(() => 0);
+  const picked = lists.map(() => []);
+  const take = (i, item) => {
+    const key = itemKey(item);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    picked[i].push(item);
+    taken[i]++;
+    return true;
+  };
+  lists.forEach((list, i) => {
+    for (const item of list || []) if (taken[i] < wanted[i]) take(i, item);
+  });
+  let total = taken.reduce((a, b) => a + b, 0);
+  lists.forEach((list, i) => {
+    for (const item of list || []) if (total < limit && take(i, item)) total++;
+  });
+  return picked.flat().slice(0, limit);
+}
+
+module.exports = {
+  CHUNK_CHARS, SINGLE_PASS_CHARS,
+  chunkText, passageContext, notesDigest, allocate, parseList, mergeLists,
+};
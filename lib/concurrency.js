@@ -0,0 +1,23 @@
+/**
+ * Open Margins — Bounded concurrency
+ *
+ * mapWithConcurrency(items, limit, worker) runs worker(item, index) over
+ * items with at most limit in flight and resolves to the results in item
+ * order. Used for whole-book fetches (lib/routes/pressbooks.js) and the
+ * per-section requests of long readings (lib/routes/generate.js).
+ */
+
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function run() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
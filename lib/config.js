@@ -0,0 +1,92 @@
+/**
+ * Open Margins — Shared configuration
+ *
+ * Every server (the combined suite server and each tool's standalone server)
+ * reads its settings from here, so the port, API key and Pressbooks networks
+ * are defined in exactly one place.
+ *
+ * Port 3001 is the proxy port for the whole suite. Every front end defaults
+ * to http://localhost:3001/api/generate, so a standalone tool server uses the
+ * same port — run only one server at a time, or set PORT.
+ */
+
+const path = require('path');
+
+// On/off settings: 1, true, yes or on (any case) turn them on
+function flag(name) {
+  return /^(1|true|yes|on)$/i.test(process.env[name] || '');
+}
+
+const PORT       = parseInt(process.env.PORT || '3001', 10);
+const API_KEY    = process.env.ANTHROPIC_API_KEY;
+
+// Trusted Pressbooks networks and books (see lib/pressbooks.js)
+const PB_NETWORKS_FILE = process.env.PB_NETWORKS_FILE || path.join(__dirname, '..', 'pressbooks-networks.json');
+
+// ── Model provider (see lib/providers/index.js) ──────────────────────────────
+const AI_PROVIDER = (process.env.AI_PROVIDER || 'anthropic').toLowerCase();
+const AI_BASE_URL = process.env.AI_BASE_URL || '';
+const AI_MODEL    = process.env.AI_MODEL    || '';
+const AI_API_KEY  = process.env.AI_API_KEY  || '';
+
+// Request queue (see lib/queue.js): how many model requests run at once, how
+// many more may wait, how often an overloaded or rate-limited request is
+// retried, and how long one attempt may take.
+const AI_CONCURRENCY     = parseInt(process.env.AI_CONCURRENCY     || '4', 10);
+const AI_QUEUE_MAX       = parseInt(process.env.AI_QUEUE_MAX       || '200', 10);
+const AI_RETRIES         = parseInt(process.env.AI_RETRIES         || '4', 10);
+const AI_TIMEOUT_SECONDS = parseInt(process.env.AI_TIMEOUT_SECONDS || '120', 10);
+
+// Fixtures (see lib/fixtures.js): AI_RECORD=on saves every model reply as a
+// fixture under FIXTURES_DIR/recorded; AI_PROVIDER=replay answers from them.
+const AI_RECORD    = flag('AI_RECORD');
+const FIXTURES_DIR = process.env.FIXTURES_DIR || path.join(__dirname, '..', 'fixtures');
+
+// ── Local data (usage log and other records kept by the server) ──────────────
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// ── Shared annotations (see lib/annotations.js) ──────────────────────────────
+// Keys the hash that stands in for each reader; made and kept in DATA_DIR when unset.
+const ANNOTATIONS_SECRET = process.env.ANNOTATIONS_SECRET || '';
+
+// ── Research logging (see lib/research.js) ───────────────────────────────────
+// Off unless RESEARCH_LOGGING=on; students must still consent in each tool.
+const RESEARCH_LOGGING        = flag('RESEARCH_LOGGING');
+const RESEARCH_RETENTION_DAYS = parseInt(process.env.RESEARCH_RETENTION_DAYS || '365', 10);
+
+// ── Document uploads (see lib/extract.js) ────────────────────────────────────
+const MAX_UPLOAD_MB = parseInt(process.env.MAX_UPLOAD_MB || '25', 10);
+
+// ── Access control (see lib/access.js) ───────────────────────────────────────
+// REQUIRE_ACCESS_CODE=true makes /api/generate refuse requests without a valid
+// class access code. ADMIN_TOKEN guards the /api/admin and /api/usage routes;
+// without it they only answer unforwarded requests from this machine, and
+// none at all when REQUIRE_ACCESS_CODE is on.
+const REQUIRE_ACCESS_CODE   = flag('REQUIRE_ACCESS_CODE');
+const ADMIN_TOKEN           = process.env.ADMIN_TOKEN || '';
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE || '20', 10);
+
+// ── Response cache (see lib/cache.js) ────────────────────────────────────────
+const CACHE_DIR     = process.env.CACHE_DIR || path.join(__dirname, '..', '.cache');
+const CACHE_ENABLED = process.env.CACHE !== 'off';
+
+// Exits the process with a helpful message when the Claude API is the
+// provider but no API key is configured. Other providers need no key here.
+function requireApiKey() {
+  if (AI_PROVIDER !== 'anthropic' || API_KEY) return;
+  console.error('\n  ERROR: ANTHROPIC_API_KEY environment variable is not set.');
+  console.error('  Run: export ANTHROPIC_API_KEY=sk-ant-your-key-here');
+  console.error('  (or choose another model provider, e.g. AI_PROVIDER=ollama, AI_PROVIDER=mock or AI_PROVIDER=replay)\n');
+  process.exit(1);
+}
+
+module.exports = {
+  PORT, API_KEY, PB_NETWORKS_FILE,
+  AI_PROVIDER, AI_BASE_URL, AI_MODEL, AI_API_KEY,
+  AI_CONCURRENCY, AI_QUEUE_MAX, AI_RETRIES, AI_TIMEOUT_SECONDS,
+  AI_RECORD, FIXTURES_DIR,
+  DATA_DIR, CACHE_DIR, CACHE_ENABLED, MAX_UPLOAD_MB, ANNOTATIONS_SECRET,
+  RESEARCH_LOGGING, RESEARCH_RETENTION_DAYS,
+  REQUIRE_ACCESS_CODE, ADMIN_TOKEN, RATE_LIMIT_PER_MINUTE,
+  requireApiKey,
+};
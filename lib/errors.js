@@ -0,0 +1,21 @@
+/**
+ * Open Margins — Error types
+ *
+ * HttpError carries the status code a route should answer with, so helpers
+ * deep in lib/ can fail with the right status and routes can simply do
+ *   res.status(err.status || 500).json({ error: err.message })
+ *
+ * details are copied onto the error, e.g. { retryAfter } from a model
+ * backend's Retry-After header (lib/queue.js waits that long before retrying).
+ */
+
+class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    Object.assign(this, details);
+  }
+}
+
+module.exports = { HttpError };
@@ -0,0 +1,415 @@
+/**
+ * Open Margins — Document extraction
+ *
+ * Turns an uploaded file into the typed blocks of lib/html.js, for
+ * POST /api/extract. Handles PDF, Word (.docx), EPUB, OpenDocument text
+ * (.odt), PowerPoint (.pptx), Markdown and plain text, so uploads no longer
+ * depend on pdf.js and mammoth loading from a CDN in the browser.
+ *
+ * Blocks remember where they came from, so outputs can cite a passage:
+ *
+ *   PDF   → page: n      (printed page order, 1-based)
+ *   PPTX  → slide: n     (presentation order; speaker notes become a
+ *                         callout of kind "notes")
+ *   EPUB  → section      (the chapter's first heading, or its file name)
+ *
+ *   extractDocument(buffer, { filename, contentType })
+ *     → { title, fileType, blocks, pageCount?, slideCount? }
+ *
+ * Throws HttpError 415 for unsupported files and 422 for files that cannot
+ * be read or hold no text (e.g. scanned PDFs without a text layer).
+ */
+
+const path = require('path');
+const mammoth = require('mammoth');
+const { marked } = require('marked');
+const { parseDocument, DomUtils } = require('htmlparser2');
+const { htmlToBlocks, textToBlocks } = require('./html');
+const { HttpError } = require('./errors');
+const { openZip } = require('./zip');
+
+// ── File types ────────────────────────────────────────────────────────────────
+const FILE_TYPES = {
+  pdf:      { extensions: ['.pdf'],                mime: ['application/pdf'] },
+  docx:     { extensions: ['.docx'],               mime: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'] },
+  epub:     { extensions: ['.epub'],               mime: ['application/epub+zip'] },
+  odt:      { extensions: ['.odt'],                mime: ['application/vnd.oasis.opendocument.text'] },
+  pptx:     { extensions: ['.pptx'],               mime: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'] },
+  markdown: { extensions: ['.md', '.markdown'],    mime: ['text/markdown', 'text/x-markdown'] },
+  text:     { extensions: ['.txt'],                mime: ['text/plain'] },
+};
+const SUPPORTED = 'PDF, Word (.docx), EPUB, OpenDocument (.odt), PowerPoint (.pptx), Markdown or plain text';
+
+function detectFileType(filename, contentType, buffer) {
+  const ext = path.extname(filename || '').toLowerCase();
+  const mime = (contentType || '').split(';')[0].trim().toLowerCase();
+  const byName = Object.keys(FILE_TYPES).find(t => FILE_TYPES[t].extensions.includes(ext));
+  if (byName) return byName;
+  if (ext === '.doc' || ext === '.ppt') {
+    throw new HttpError(415, `Older ${ext} files cannot be read. Save it as ${ext}x and upload that instead.`);
+  }
+  const byMime = Object.keys(FILE_TYPES).find(t => FILE_TYPES[t].mime.includes(mime));
+  if (byMime) return byMime;
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+  throw new HttpError(415, `Unsupported file type${ext ? ` (${ext})` : ''}. Upload ${SUPPORTED}.`);
+}
+
+function baseName(filename) {
+  return path.basename(filename || 'Document', path.extname(filename || '')).trim() || 'Document';
+}
+
+// ── XML helpers (OpenDocument, PowerPoint, EPUB packaging) ────────────────────
+function parseXml(xml) {
+  return parseDocument(xml, { xmlMode: true });
+}
+
+function findAll(name, nodes) {
+  return DomUtils.findAll(n => n.name === name, nodes);
+}
+
+function findOne(name, nodes) {
+  return DomUtils.findOne(n => n.name === name, nodes, true);
+}
+
+function childrenNamed(el, name) {
+  return (el?.children || []).filter(c => c.name === name);
+}
+
+function clean(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// What a zipped document may unpack to, all files together, so a small
+// upload cannot fill the server's memory (lib/zip.js)
+const MAX_UNZIPPED_MB = 200;
+
+function readZip(buffer, fileType) {
+  return openZip(buffer, {
+    maxBytes: MAX_UNZIPPED_MB * 1024 * 1024,
+    notZip: `This file could not be opened as ${fileType.toUpperCase()}. It may be damaged.`,
+  });
+}
+
+// ── PDF ───────────────────────────────────────────────────────────────────────
+// pdf.js is published as an ES module, so it is imported on first use.
+let pdfjs = null;
+async function loadPdfjs() {
+  pdfjs ||= await import('pdfjs-dist/legacy/build/pdf.mjs');
+  return pdfjs;
+}
+
+// One page's text items → paragraphs. A new paragraph starts where the gap
+// between lines is clearly wider than the line height.
+function pageParagraphs(items) {
+  const lines = [];
+  let line = null;
+  for (const item of items) {
+    if (!('str' in item)) continue;
+    const y = item.transform[5];
+    const height = item.height || Math.abs(item.transform[3]) || 10;
+    if (!line) line = { text: '', y, height };
+    line.text += item.str;
+    line.height = Math.max(line.height, height);
+    if (item.hasEOL) { lines.push(line); line = null; }
+  }
+  if (line) lines.push(line);
+
+  const paragraphs = [];
+  let current = '';
+  let prev = null;
+  for (const l of lines) {
+    const text = l.text.replace(/\s+/g, ' ').trim();
+    const gap = prev ? prev.y - l.y : 0;
+    if (!text || (prev && (gap > prev.height * 1.8 || gap < 0))) {
+      if (current) paragraphs.push(current);
+      current = '';
+    }
+    if (text) {
+      // Re-join words hyphenated across a line break
+      current = /[a-z]-$/.test(current) && /^[a-z]/.test(text) ? current.slice(0, -1) + text : clean(`${current} ${text}`);
+    }
+    prev = l;
+  }
+  if (current) paragraphs.push(current);
+  return paragraphs;
+}
+
+async function extractPdf(buffer, filename) {
+  const { getDocument } = await loadPdfjs();
+  let pdf;
+  try {
+    pdf = await getDocument({ data: new Uint8Array(buffer), isEvalSupported: false, disableFontFace: true, verbosity: 0 }).promise;
+  } catch (err) {
+    throw new HttpError(422, `This PDF could not be read: ${err.message}`);
+  }
+  try {
+    const blocks = [];
+    for (let n = 1; n <= pdf.numPages; n++) {
+      const page = await pdf.getPage(n);
+      const content = await page.getTextContent();
+      for (const text of pageParagraphs(content.items)) blocks.push({ type: 'paragraph', text, page: n });
+      page.cleanup();
+    }
+    const { info } = await pdf.getMetadata().catch(() => ({ info: {} }));
+    return { title: clean(info?.Title || '') || baseName(filename), blocks, pageCount: pdf.numPages };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+// ── Word (.docx) ──────────────────────────────────────────────────────────────
+async function extractDocx(buffer, filename) {
+  // mammoth unpacks the file itself, so its size is checked first
+  await (await readZip(buffer, 'docx')).checkAll();
+  let result;
+  try {
+    result = await mammoth.convertToHtml({ buffer }, {
+      // Keep each image's alt text but not its data
+      convertImage: mammoth.images.imgElement(image => Promise.resolve({ src: '', alt: image.altText || '' })),
+    });
+  } catch (err) {
+    throw new HttpError(422, `This Word document could not be read: ${err.message}`);
+  }
+  const blocks = htmlToBlocks(result.value).filter(b => b.type !== 'figure' || b.alt || b.caption);
+  const first = blocks.find(b => b.type === 'heading');
+  return { title: first?.text || baseName(filename), blocks };
+}
+
+// ── OpenDocument text (.odt) ──────────────────────────────────────────────────
+// Text of an ODF paragraph; footnote bodies are collected separately.
+function odfText(node, notes) {
+  if (node.type === 'text') return node.data;
+  switch (node.name) {
+    case 'text:s':          return ' '.repeat(parseInt(node.attribs['text:c'] || '1', 10));
+    case 'text:tab':        return ' ';
+    case 'text:line-break': return ' ';
+    case 'text:note': {
+      const body = findOne('text:note-body', node.children);
+      if (body) notes.push(clean(body.children.map(c => odfText(c, notes)).join(' ')));
+      return '';
+    }
+    default: return (node.children || []).map(c => odfText(c, notes)).join('');
+  }
+}
+
+function odfList(el, notes) {
+  const items = childrenNamed(el, 'text:list-item').map(li => {
+    const item = { text: clean(li.children.filter(c => c.name !== 'text:list').map(c => odfText(c, notes)).join(' ')) };
+    const nested = childrenNamed(li, 'text:list');
+    if (nested.length) item.items = nested.flatMap(n => odfList(n, notes));
+    return item;
+  });
+  return items.filter(item => item.text || item.items);
+}
+
+function odfBlocks(nodes, notes) {
+  const blocks = [];
+  for (const node of nodes) {
+    if (node.name === 'text:h') {
+      const text = clean(odfText(node, notes));
+      const level = Math.min(6, parseInt(node.attribs['text:outline-level'] || '1', 10));
+      if (text) blocks.push({ type: 'heading', level, text });
+    } else if (node.name === 'text:p') {
+      const text = clean(odfText(node, notes));
+      if (text) blocks.push({ type: 'paragraph', text });
+    } else if (node.name === 'text:list') {
+      const items = odfList(node, notes);
+      if (items.length) blocks.push({ type: 'list', ordered: false, items });
+    } else if (node.name === 'table:table') {
+      const rows = findAll('table:table-row', node.children)
+        .map(tr => childrenNamed(tr, 'table:table-cell').map(td => clean(odfText(td, notes))));
+      const header = findOne('table:table-header-rows', node.children);
+      const headerRows = header ? findAll('table:table-row', header.children).length : 0;
+      blocks.push({
+        type: 'table',
+        caption: '',
+        header: headerRows ? rows[0] : null,
+        rows: rows.slice(headerRows ? 1 : 0),
+      });
+    } else if (node.name === 'text:section' || node.name === 'text:soft-page-break') {
+      blocks.push(...odfBlocks(node.children || [], notes));
+    }
+  }
+  return blocks;
+}
+
+async function extractOdt(buffer, filename) {
+  const zip = await readZip(buffer, 'odt');
+  const xml = await zip.text('content.xml');
+  if (!xml) throw new HttpError(422, 'This file is not an OpenDocument text document (no content.xml).');
+  const body = findOne('office:text', parseXml(xml).children);
+  const notes = [];
+  const blocks = odfBlocks(body?.children || [], notes);
+  if (notes.length) blocks.push({ type: 'footnotes', items: notes });
+  const meta = await zip.text('meta.xml');
+  const titleEl = meta && findOne('dc:title', parseXml(meta).children);
+  return { title: (titleEl && clean(DomUtils.textContent(titleEl))) || baseName(filename), blocks };
+}
+
+// ── PowerPoint (.pptx) ────────────────────────────────────────────────────────
+// Relationship id → part path, for a part's _rels file.
+async function readRels(zip, partPath) {
+  const relsPath = path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+  const xml = await zip.text(relsPath);
+  const rels = {};
+  if (!xml) return rels;
+  for (const rel of findAll('Relationship', parseXml(xml).children)) {
+    rels[rel.attribs.Id] = {
+      type: rel.attribs.Type || '',
+      target: path.posix.normalize(path.posix.join(path.posix.dirname(partPath), rel.attribs.Target)),
+    };
+  }
+  return rels;
+}
+
+function drawingParagraphs(el) {
+  return findAll('a:p', el.children).map(p => ({
+    level: parseInt(findOne('a:pPr', p.children)?.attribs.lvl || '0', 10),
+    text: clean(DomUtils.findAll(n => n.name === 'a:t' || n.name === 'a:br', p.children)
+      .map(n => (n.name === 'a:br' ? ' ' : DomUtils.textContent(n))).join('')),
+  })).filter(p => p.text);
+}
+
+// Bulleted paragraphs → list items, nesting by indent level.
+function nestParagraphs(paragraphs) {
+  const root = [];
+  const stack = [{ level: -1, items: root }];
+  for (const p of paragraphs) {
+    while (stack.length > 1 && stack[stack.length - 1].level >= p.level) stack.pop();
+    const item = { text: p.text };
+    const parent = stack[stack.length - 1];
+    parent.items.push(item);
+    stack.push({ level: p.level, items: (item.items = []) });
+  }
+  const prune = items => items.map(i => (i.items.length ? { text: i.text, items: prune(i.items) } : { text: i.text }));
+  return prune(root);
+}
+
+function slideBlocks(doc) {
+  const blocks = [];
+  for (const shape of DomUtils.findAll(n => n.name === 'p:sp' || n.name === 'p:graphicFrame', doc.children)) {
+    if (shape.name === 'p:graphicFrame') {
+      const table = findOne('a:tbl', shape.children);
+      if (!table) continue;
+      const rows = childrenNamed(table, 'a:tr').map(tr => childrenNamed(tr, 'a:tc')
+        .map(tc => drawingParagraphs(tc).map(p => p.text).join(' ')));
+      if (rows.length) blocks.push({ type: 'table', caption: '', header: rows[0], rows: rows.slice(1) });
+      continue;
+    }
+    const placeholder = findOne('p:ph', shape.children)?.attribs.type || '';
+    const paragraphs = drawingParagraphs(shape);
+    if (!paragraphs.length) continue;
+    if (placeholder === 'title' || placeholder === 'ctrTitle') {
+      blocks.push({ type: 'heading', level: 2, text: paragraphs.map(p => p.text).join(' ') });
+    } else if (paragraphs.length > 1) {
+      blocks.push({ type: 'list', ordered: false, items: nestParagraphs(paragraphs) });
+    } else {
+      blocks.push({ type: 'paragraph', text: paragraphs[0].text });
+    }
+  }
+  for (const pic of findAll('p:pic', doc.children)) {
+    const alt = clean(findOne('p:cNvPr', pic.children)?.attribs.descr || '');
+    if (alt) blocks.push({ type: 'figure', src: '', alt, caption: '' });
+  }
+  return blocks;
+}
+
+async function extractPptx(buffer, filename) {
+  const zip = await readZip(buffer, 'pptx');
+  const presentationPath = 'ppt/presentation.xml';
+  const presentation = await zip.text(presentationPath);
+  if (!presentation) throw new HttpError(422, 'This file is not a PowerPoint presentation (no ppt/presentation.xml).');
+  const rels = await readRels(zip, presentationPath);
+  // Slide order comes from the presentation, not from the file names
+  const slidePaths = findAll('p:sldId', parseXml(presentation).children)
+    .map(s => rels[s.attribs['r:id']]?.target)
+    .filter(Boolean);
+
+  const blocks = [];
+  for (const [i, slidePath] of slidePaths.entries()) {
+    const slide = i + 1;
+    const xml = await zip.text(slidePath);
+    if (!xml) continue;
+    blocks.push(...slideBlocks(parseXml(xml)).map(b => ({ ...b, slide })));
+
+    const notesRel = Object.values(await readRels(zip, slidePath)).find(r => r.type.endsWith('/notesSlide'));
+    const notesXml = notesRel && await zip.text(notesRel.target);
+    if (!notesXml) continue;
+    const body = DomUtils.findAll(n => n.name === 'p:sp', parseXml(notesXml).children)
+      .find(sp => findOne('p:ph', sp.children)?.attribs.type === 'body');
+    const notes = body ? drawingParagraphs(body).map(p => ({ type: 'paragraph', text: p.text })) : [];
+    if (notes.length) blocks.push({ type: 'callout', kind: 'notes', title: 'Speaker notes', blocks: notes, slide });
+  }
+
+  const core = await zip.text('docProps/core.xml');
+  const titleEl = core && findOne('dc:title', parseXml(core).children);
+  const firstTitle = blocks.find(b => b.type === 'heading');
+  return {
+    title: (titleEl && clean(DomUtils.textContent(titleEl))) || firstTitle?.text || baseName(filename),
+    blocks,
+    slideCount: slidePaths.length,
+  };
+}
+
+// ── EPUB ──────────────────────────────────────────────────────────────────────
+async function extractEpub(buffer, filename) {
+  const zip = await readZip(buffer, 'epub');
+  const container = await zip.text('META-INF/container.xml');
+  const opfPath = container && findOne('rootfile', parseXml(container).children)?.attribs['full-path'];
+  const opfXml = opfPath && await zip.text(opfPath);
+  if (!opfXml) throw new HttpError(422, 'This file is not an EPUB book (no package document).');
+
+  const opf = parseXml(opfXml);
+  const manifest = {};
+  for (const item of findAll('item', opf.children)) {
+    manifest[item.attribs.id] = {
+      href: path.posix.normalize(path.posix.join(path.posix.dirname(opfPath), decodeURIComponent(item.attribs.href))),
+      type: item.attribs['media-type'] || '',
+    };
+  }
+
+  const blocks = [];
+  for (const ref of findAll('itemref', opf.children)) {
+    const item = manifest[ref.attribs.idref];
+    if (!item || !/html/.test(item.type) || ref.attribs.linear === 'no') continue;
+    const html = await zip.text(item.href);
+    if (!html) continue;
+    const docBlocks = htmlToBlocks(html).filter(b => b.type !== 'figure' || b.alt || b.caption);
+    if (!docBlocks.length) continue;
+    const section = docBlocks.find(b => b.type === 'heading')?.text || path.posix.basename(item.href);
+    blocks.push(...docBlocks.map(b => ({ ...b, section })));
+  }
+
+  const titleEl = findOne('dc:title', opf.children);
+  return { title: (titleEl && clean(DomUtils.textContent(titleEl))) || baseName(filename), blocks };
+}
+
+// ── Markdown and plain text ───────────────────────────────────────────────────
+function extractMarkdown(buffer, filename) {
+  const blocks = htmlToBlocks(marked.parse(buffer.toString('utf8')));
+  const first = blocks.find(b => b.type === 'heading' && b.level === 1);
+  return { title: first?.text || baseName(filename), blocks };
+}
+
+function extractText(buffer, filename) {
+  return { title: baseName(filename), blocks: textToBlocks(buffer.toString('utf8')) };
+}
+
+const EXTRACTORS = {
+  pdf: extractPdf, docx: extractDocx, epub: extractEpub, odt: extractOdt,
+  pptx: extractPptx, markdown: extractMarkdown, text: extractText,
+};
+
+async function extractDocument(buffer, { filename = '', contentType = '' } = {}) {
+  if (!buffer?.length) throw new HttpError(400, 'The uploaded file is empty.');
+  const fileType = detectFileType(filename, contentType, buffer);
+  const result = await EXTRACTORS[fileType](buffer, filename);
+  if (!result.blocks.length) {
+    throw new HttpError(422, fileType === 'pdf'
+      ? 'No text could be extracted from this PDF. It may be a scanned image without a text layer.'
+      : 'No text could be extracted from this file.');
+  }
+  return { fileType, ...result };
+}
+
+module.exports = { extractDocument, SUPPORTED };
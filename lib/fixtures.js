@@ -0,0 +1,149 @@
+/**
+ * Open Margins — Recorded model replies (fixtures)
+ *
+ * For workshops without a network and for checking that the front ends still
+ * render real model output. With AI_RECORD=on, every reply the model gives is
+ * saved as a fixture under FIXTURES_DIR/recorded/<tool>/; with
+ * AI_PROVIDER=replay (lib/providers/replay.js), /api/generate answers from
+ * fixtures instead of calling a model. The starter set in fixtures/ covers
+ * every activity in every tool.
+ *
+ *   withRecording(provider, dir)  → the same provider, saving what it replies
+ *   loadFixtures(dir)             → every fixture under dir
+ *   findFixture(fixtures, params) → the fixture that answers a request, or null
+ *   fixtureText(fixture)          → its reply text
+ *
+ * A fixture file holds one fixture or an array of them:
+ *
+ *   { "tags": { "tool": "nova", "activity": "conceptmap", "template": "nova.conceptmap", "schema": "nova.conceptmap" },
+ *     "key": "…", "prompt": "…", "text": "…" | "json": { … }, "usage": { … }, "stop_reason": "end_turn" }
+ *
+ * Requests carry the same tags as params.tags. A request is answered by the
+ * fixture recorded for exactly the same system prompt and messages (key)
+ * when there is one. Otherwise any fixture with the same tool, activity,
+ * template and schema will do, then any with the same template and schema
+ * (section notes, corrections); "json" replies that fit the request's schema
+ * are preferred. When several fit, the request's key picks one, so the same
+ * request always gets the same reply.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { hashKey } = require('./cache');
+const { checkReply } = require('./schemas');
+
+const PROMPT_EXCERPT_CHARS = 300;
+const TAGS = ['tool', 'activity', 'template', 'schema'];
+
+// The model is left out, so a reply recorded from Claude replays whatever AI_MODEL says
+function requestKey({ system, messages }) {
+  return hashKey({ system: system || '', messages });
+}
+
+function fixtureText(fixture) {
+  return fixture.text ?? JSON.stringify(fixture.json, null, 2);
+}
+
+// ── Recording ─────────────────────────────────────────────────────────────────
+function safeName(value) {
+  return String(value).replace(/[^\w.-]+/g, '-').slice(0, 60);
+}
+
+async function saveFixture(dir, params, { text, usage, stop_reason }) {
+  if (!text) return;
+  const key = requestKey(params);
+  const { variables, ...tags } = params.tags || {};
+  const last = params.messages[params.messages.length - 1];
+  const prompt = typeof last?.content === 'string' ? last.content : JSON.stringify(last?.content ?? '');
+  const fixture = {
+    tags: Object.fromEntries(TAGS.map(k => [k, tags[k] ?? null])),
+    key,
+    prompt: prompt.length > PROMPT_EXCERPT_CHARS ? prompt.slice(0, PROMPT_EXCERPT_CHARS) + '…' : prompt,
+    text,
+    usage,
+    stop_reason,
+    recorded: new Date().toISOString(),
+  };
+  const folder = path.join(dir, 'recorded', safeName(tags.tool || 'other'));
+  const file = path.join(folder, `${safeName(tags.activity || tags.template || 'request')}-${key.slice(0, 12)}.json`);
+  try {
+    await fs.mkdir(folder, { recursive: true });
+    await fs.writeFile(file, JSON.stringify(fixture, null, 2) + '\n');
+  } catch (err) {
+    console.error('Fixture write failed:', err.message);
+  }
+}
+
+function withRecording(provider, dir) {
+  return {
+    ...provider,
+
+    async generate(params) {
+      const body = await provider.generate(params);
+      await saveFixture(dir, params, { text: body.content?.[0]?.text, usage: body.usage, stop_reason: body.stop_reason });
+      return body;
+    },
+
+    async stream(params) {
+      const events = await provider.stream(params);
+      return (async function* () {
+        let text = '';
+        for await (const event of events) {
+          if (event.type === 'delta') text += event.text;
+          if (event.type === 'done') await saveFixture(dir, params, { text, usage: event.usage, stop_reason: event.stop_reason });
+          yield event;
+        }
+      })();
+    },
+  };
+}
+
+// ── Replaying ─────────────────────────────────────────────────────────────────
+async function jsonFiles(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return []; // no fixtures folder
+  }
+  const nested = await Promise.all(entries.map(e => {
+    const full = path.join(dir, e.name);
+    if (e.isDirectory()) return jsonFiles(full);
+    return e.name.endsWith('.json') ? [full] : [];
+  }));
+  return nested.flat().sort();
+}
+
+async function loadFixtures(dir) {
+  const fixtures = [];
+  for (const file of await jsonFiles(dir)) {
+    try {
+      const content = JSON.parse(await fs.readFile(file, 'utf8'));
+      for (const fixture of [content].flat()) {
+        if (fixture && (typeof fixture.text === 'string' || fixture.json !== undefined)) fixtures.push(fixture);
+      }
+    } catch (err) {
+      console.error(`Skipping fixture ${path.relative(dir, file)}:`, err.message);
+    }
+  }
+  return fixtures;
+}
+
+function findFixture(fixtures, params) {
+  const key = requestKey(params);
+  const exact = fixtures.find(f => f.key === key);
+  if (exact) return exact;
+
+  const tags = params.tags || {};
+  const same = (f, fields) => fields.every(k => (f.tags?.[k] ?? null) === (tags[k] ?? null));
+  let candidates = fixtures.filter(f => same(f, TAGS));
+  if (!candidates.length && tags.template) candidates = fixtures.filter(f => same(f, ['template', 'schema']));
+  if (tags.schema) {
+    const fitting = candidates.filter(f => !checkReply(tags.schema, fixtureText(f), tags.variables).errors.length);
+    if (fitting.length) candidates = fitting;
+  }
+  if (!candidates.length) return null;
+  return candidates[parseInt(key.slice(0, 8), 16) % candidates.length];
+}
+
+module.exports = { withRecording, loadFixtures, findFixture, fixtureText };
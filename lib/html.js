@@ -0,0 +1,316 @@
+/**
+ * Open Margins — HTML helpers
+ *
+ * Converts Pressbooks chapter HTML and fetched web pages into the plain text
+ * that gets sent to Claude, or into typed blocks that keep the page's
+ * structure (format=blocks on /api/chapter and /api/fetch-url):
+ *
+ *   { type: 'heading',   level: 1–6, text }
+ *   { type: 'paragraph', text }
+ *   { type: 'list',      ordered, items: [{ text, items? }] }   (items nest)
+ *   { type: 'table',     caption, header: [cell] | null, rows: [[cell]] }
+ *   { type: 'figure',    src, alt, caption }
+ *   { type: 'quote',     text }
+ *   { type: 'code',      text }
+ *   { type: 'glossary',  items: [{ term, definition }] }
+ *   { type: 'callout',   kind, title, blocks }   (Pressbooks textboxes)
+ *   { type: 'footnotes', items: [text] }
+ *
+ * callout kind is the Pressbooks textbox type — learning-objectives,
+ * key-takeaways, exercises, examples — or "textbox" for a plain one.
+ * Blocks from uploaded documents (lib/extract.js) also carry page, slide or
+ * section.
+ */
+
+const { parseDocument, DomUtils } = require('htmlparser2');
+const { decodeHTML } = require('entities');
+
+// ── Entities ──────────────────────────────────────────────────────────────────
+// Every named and numeric HTML entity (&eacute;, &#8212;, &#x2019;, …)
+function decodeEntities(text) {
+  return decodeHTML(text);
+}
+
+// ── HTML → plain text helper ──────────────────────────────────────────────────
+function htmlToPlainText(html) {
+  const text = html
+    // Remove script and style blocks entirely
+    .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
+    .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
+    // Convert block elements to newlines for readability
+    .replace(/<\/?(p|div|h[1-6]|li|blockquote|tr|br)[^>]*>/gi, '\n')
+    // Strip remaining tags
+    .replace(/<[^>]+>/g, '');
+  return decodeEntities(text)
+    .replace(/\u00A0/g, ' ')
+    // Collapse excessive whitespace/newlines
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/[ \t]{2,}/g, ' ')
+    .trim();
+}
+
+function stripHtml(html) {
+  return decodeEntities(html.replace(/<[^>]+>/g, '')).replace(/\u00A0/g, ' ').trim();
+}
+
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+// ── HTML → typed blocks ───────────────────────────────────────────────────────
+const SKIP_TAGS = new Set(['script', 'style', 'noscript', 'template', 'iframe', 'svg', 'form', 'nav', 'head']);
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'dd', 'details', 'div', 'dl', 'dt',
+  'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr',
+  'html', 'li', 'main', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'ul',
+]);
+const CALLOUT_KINDS = ['learning-objectives', 'key-takeaways', 'exercises', 'examples'];
+
+function classList(el) {
+  return (el.attribs?.class || '').split(/\s+/).filter(Boolean);
+}
+
+function hasClass(el, name) {
+  return classList(el).includes(name);
+}
+
+function isElement(node) {
+  return node.type === 'tag' || node.type === 'script' || node.type === 'style';
+}
+
+function clean(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Text of an element's inline content; nested lists are left to the caller.
+function inlineText(node, { skipLists = false } = {}) {
+  if (node.type === 'text') return node.data;
+  if (!isElement(node) || SKIP_TAGS.has(node.name)) return '';
+  if (skipLists && (node.name === 'ul' || node.name === 'ol')) return '';
+  if (node.name === 'br') return ' ';
+  if (node.name === 'img') return '';
+  const inner = node.children.map(child => inlineText(child, { skipLists })).join('');
+  return BLOCK_TAGS.has(node.name) ? ` ${inner} ` : inner;
+}
+
+function resolveSrc(src, baseUrl) {
+  if (!src) return '';
+  try { return new URL(src, baseUrl || undefined).href; }
+  catch { return src; }
+}
+
+function figureFrom(el, baseUrl) {
+  const img = el.name === 'img' ? el : DomUtils.findOne(n => n.name === 'img', el.children, true);
+  const captionEl = el.name === 'img' ? null : DomUtils.findOne(
+    n => n.name === 'figcaption' || hasClass(n, 'wp-caption-text'), el.children, true);
+  return {
+    type: 'figure',
+    src: resolveSrc(img?.attribs.src, baseUrl),
+    alt: clean(img?.attribs.alt || ''),
+    caption: captionEl ? clean(inlineText(captionEl)) : '',
+  };
+}
+
+function listFrom(el) {
+  const items = el.children
+    .filter(li => li.name === 'li')
+    .map(li => {
+      const item = { text: clean(inlineText(li, { skipLists: true })) };
+      const nested = li.children.filter(c => c.name === 'ul' || c.name === 'ol');
+      if (nested.length) item.items = nested.flatMap(n => listFrom(n).items);
+      return item;
+    })
+    .filter(item => item.text || item.items);
+  return { type: 'list', ordered: el.name === 'ol', items };
+}
+
+function closestTable(node) {
+  let parent = node.parent;
+  while (parent && parent.name !== 'table') parent = parent.parent;
+  return parent;
+}
+
+function tableFrom(el) {
+  const rows = DomUtils.findAll(n => n.name === 'tr', el.children)
+    // Skip the rows of any table nested inside this one
+    .filter(tr => closestTable(tr) === el)
+    .map(tr => ({
+      inHead: tr.parent?.name === 'thead',
+      cells: tr.children.filter(c => c.name === 'td' || c.name === 'th'),
+    }))
+    .filter(r => r.cells.length);
+  const first = rows[0];
+  const headerRow = first && (first.inHead || first.cells.every(c => c.name === 'th'));
+  const captionEl = el.children.find(c => c.name === 'caption');
+  return {
+    type: 'table',
+    caption: captionEl ? clean(inlineText(captionEl)) : '',
+    header: headerRow ? first.cells.map(c => clean(inlineText(c))) : null,
+    rows: rows.slice(headerRow ? 1 : 0).map(r => r.cells.map(c => clean(inlineText(c)))),
+  };
+}
+
+function calloutFrom(el, baseUrl) {
+  const classes = classList(el);
+  const kind = CALLOUT_KINDS.find(k => classes.includes(`textbox--${k}`) || classes.includes(k)) || 'textbox';
+  // <header class="textbox__header"><p class="textbox__title">…</p></header>
+  const header = el.children.find(c => c.name === 'header' || hasClass(c, 'textbox__header'));
+  const firstEl = el.children.find(isElement);
+  const titleEl = header || el.children.find(c => hasClass(c, 'textbox__title'))
+    // Older textboxes open with a plain heading
+    || (firstEl && /^h[1-6]$/.test(firstEl.name) ? firstEl : null);
+  const body = el.children.filter(c => c !== titleEl);
+  return {
+    type: 'callout',
+    kind,
+    title: titleEl ? clean(inlineText(titleEl)) : '',
+    blocks: walk(body, baseUrl),
+  };
+}
+
+function footnotesFrom(el) {
+  const items = DomUtils.findAll(n => n.name === 'li', el.children).map(li => {
+    // Drop the "return to text" link Pressbooks adds to each note
+    const text = li.children.filter(c => !hasClass(c, 'return-footnote')).map(c => inlineText(c)).join('');
+    return clean(text);
+  }).filter(Boolean);
+  return { type: 'footnotes', items };
+}
+
+function glossaryFrom(el) {
+  const items = [];
+  for (const child of el.children) {
+    if (child.name === 'dt') items.push({ term: clean(inlineText(child)), definition: '' });
+    else if (child.name === 'dd' && items.length) {
+      const last = items[items.length - 1];
+      last.definition = clean(`${last.definition} ${inlineText(child)}`);
+    }
+  }
+  return { type: 'glossary', items: items.filter(i => i.term) };
+}
+
+// Turns a list of DOM nodes into blocks. Loose inline content (text, links,
+// emphasis) between block elements becomes its own paragraph.
+function walk(nodes, baseUrl) {
+  const blocks = [];
+  let pending = '';
+  const flush = () => {
+    const text = clean(pending);
+    if (text) blocks.push({ type: 'paragraph', text });
+    pending = '';
+  };
+
+  for (const node of nodes) {
+    if (node.type === 'text') { pending += node.data; continue; }
+    if (!isElement(node) || SKIP_TAGS.has(node.name)) continue;
+    const { name } = node;
+
+    if (!BLOCK_TAGS.has(name) && name !== 'img' && name !== 'table') {
+      pending += inlineText(node);
+      // Images inside inline wrappers (e.g. <a><img></a>) still count as figures
+      for (const img of DomUtils.findAll(n => n.name === 'img', node.children)) {
+        flush();
+        blocks.push(figureFrom(img, baseUrl));
+      }
+      continue;
+    }
+    flush();
+
+    if (/^h[1-6]$/.test(name)) {
+      const text = clean(inlineText(node));
+      if (text) blocks.push({ type: 'heading', level: Number(name[1]), text });
+    } else if (name === 'p') {
+      const text = clean(inlineText(node));
+      if (text) blocks.push({ type: 'paragraph', text });
+      for (const img of DomUtils.findAll(n => n.name === 'img', node.children)) blocks.push(figureFrom(img, baseUrl));
+    } else if (name === 'ul' || name === 'ol') {
+      const list = listFrom(node);
+      if (list.items.length) blocks.push(list);
+    } else if (name === 'table') {
+      const table = tableFrom(node);
+      if (table.rows.length || table.header) blocks.push(table);
+    } else if (name === 'figure' || name === 'img' || hasClass(node, 'wp-caption')) {
+      blocks.push(figureFrom(node, baseUrl));
+    } else if (name === 'blockquote') {
+      const text = walk(node.children, baseUrl).map(b => b.text).filter(Boolean).join('\n');
+      if (text) blocks.push({ type: 'quote', text });
+    } else if (name === 'pre') {
+      const text = DomUtils.textContent(node).replace(/^\n+|\s+$/g, '');
+      if (text) blocks.push({ type: 'code', text });
+    } else if (name === 'dl') {
+      const glossary = glossaryFrom(node);
+      if (glossary.items.length) blocks.push(glossary);
+    } else if (hasClass(node, 'textbox')) {
+      blocks.push(calloutFrom(node, baseUrl));
+    } else if (hasClass(node, 'footnotes')) {
+      const footnotes = footnotesFrom(node);
+      if (footnotes.items.length) blocks.push(footnotes);
+    } else if (name !== 'hr') {
+      blocks.push(...walk(node.children, baseUrl));
+    }
+  }
+  flush();
+  return blocks;
+}
+
+// baseUrl resolves relative image sources. For whole web pages, only the
+// <main> or <article> element is read when there is one.
+function htmlToBlocks(html, { baseUrl } = {}) {
+  const doc = parseDocument(html);
+  const root = DomUtils.findOne(n => n.name === 'main', doc.children, true)
+    || DomUtils.findOne(n => n.name === 'article', doc.children, true)
+    || DomUtils.findOne(n => n.name === 'body', doc.children, true)
+    || doc;
+  return walk(root.children, baseUrl);
+}
+
+// The same, for nodes already parsed and picked out (lib/article.js)
+function nodesToBlocks(nodes, { baseUrl } = {}) {
+  return walk(nodes, baseUrl);
+}
+
+// ── Blocks → plain text ───────────────────────────────────────────────────────
+// Markdown-flavoured, so headings and lists survive into prompts.
+function listToText(items, ordered, depth) {
+  return items.flatMap((item, i) => [
+    `${'  '.repeat(depth)}${ordered ? `${i + 1}.` : '-'} ${item.text}`,
+    ...(item.items ? [listToText(item.items, ordered, depth + 1)] : []),
+  ]).join('\n');
+}
+
+function blockText(b) {
+  switch (b.type) {
+    case 'heading':   return `${'#'.repeat(b.level)} ${b.text}`;
+    case 'list':      return listToText(b.items, b.ordered, 0);
+    case 'table':     return [b.caption && `Table: ${b.caption}`, b.header?.join(' | '), ...b.rows.map(r => r.join(' | '))].filter(Boolean).join('\n');
+    case 'figure':    return b.alt || b.caption ? `[Figure: ${[b.alt, b.caption].filter(Boolean).join(' — ')}]` : '';
+    case 'quote':     return b.text.split('\n').map(line => `> ${line}`).join('\n');
+    case 'glossary':  return b.items.map(i => `${i.term}: ${i.definition}`).join('\n');
+    case 'callout':   return [b.title && `[${b.title}]`, blocksToText(b.blocks)].filter(Boolean).join('\n');
+    case 'footnotes': return ['Notes:', ...b.items.map((t, i) => `${i + 1}. ${t}`)].join('\n');
+    default:          return b.text || '';
+  }
+}
+
+// Blocks from uploaded documents carry a page or slide number (lib/extract.js);
+// a [Page n] / [Slide n] line marks where each one starts so outputs can cite it.
+function blocksToText(blocks) {
+  let where = '';
+  return blocks.map(b => {
+    const text = blockText(b);
+    const loc = b.page ? `Page ${b.page}` : b.slide ? `Slide ${b.slide}` : '';
+    if (!loc || loc === where) return text;
+    where = loc;
+    return text ? `[${loc}]\n${text}` : `[${loc}]`;
+  }).filter(Boolean).join('\n\n');
+}
+
+// Plain text → paragraph blocks, split on blank lines.
+function textToBlocks(text) {
+  return text.split(/\n\s*\n/)
+    .map(p => p.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .map(para => ({ type: 'paragraph', text: para }));
+}
+
+module.exports = { htmlToPlainText, htmlToBlocks, nodesToBlocks, blocksToText, textToBlocks, stripHtml, countWords, decodeEntities };
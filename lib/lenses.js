@@ -0,0 +1,172 @@
+/**
+ * Open Margins — Companion lenses
+ *
+ * Instructors can give Companion reading lenses of their own beside
+ * Illuminate, Council and Connect: "Indigenous perspectives", "Clinical
+ * application", "Plain language". Each lens has a name, an icon, a colour
+ * and a prompt template, for one course or for every course (course "").
+ * Stored in DATA_DIR/lenses.json:
+ *
+ *   [{ id, course, name, icon, color, description, template, version, created, updated }]
+ *
+ *   id        — a slug of the name (plain-language), unique within its course
+ *   template  — prompt text with the variables companion.illuminate has
+ *               (context, excerpt, passages); rendered as "lens.<id>"
+ *   version   — counts saves, so the usage log shows which wording answered
+ *
+ *   listLenses(course)                → the lenses a course's readers see, without their templates
+ *   allLenses()                       → every lens, for the admin page
+ *   saveLens(fields)                  → the lens, made or updated (id given: update)
+ *   removeLens(id, course)
+ *   exportPack(course)                → a lens pack of the lenses a course sees
+ *   importPack(pack, course)          → the lenses added or updated
+ *
+ * A lens pack is a JSON file for sharing lenses between courses and servers:
+ *
+ *   { type: "open-margins-lens-pack", version: 1, lenses: [{ name, icon, color, description, template }] }
+ *
+ * Importing a lens with the name of one the course already has updates it.
+ */
+
+const path = require('path');
+const { DATA_DIR } = require('./config');
+const { HttpError } = require('./errors');
+const { createStore } = require('./store');
+const { addTemplateSource, usedVariables } = require('./prompts');
+
+const STORE_FILE = path.join(DATA_DIR, 'lenses.json');
+const PACK_TYPE = 'open-margins-lens-pack';
+const LENS_VARIABLES = ['context', 'excerpt', 'passages'];
+const LIMITS = { name: 40, icon: 8, description: 200, template: 20000 };
+const MAX_LENSES = 50; // per course
+const COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+// ── Store ─────────────────────────────────────────────────────────────────────
+const { load, save } = createStore(STORE_FILE, { what: 'lenses' });
+
+function slug(name) {
+  return name.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 30).replace(/-+$/, '');
+}
+
+// ── Fields ────────────────────────────────────────────────────────────────────
+function text(fields, key, { required = false } = {}) {
+  const value = String(fields[key] ?? '').trim();
+  if (required && !value) throw new HttpError(400, `${key} is required.`);
+  if (value.length > LIMITS[key]) throw new HttpError(400, `${key} may be at most ${LIMITS[key]} characters.`);
+  return value;
+}
+
+// Checked fields of a lens, as saved
+function lensFields(fields) {
+  const name = text(fields, 'name', { required: true });
+  if (!slug(name)) throw new HttpError(400, 'name needs at least one letter or digit.');
+  const color = String(fields.color ?? '').trim();
+  if (!COLOR_RE.test(color)) throw new HttpError(400, 'color must be a hex colour such as #3a7ca5.');
+  const template = text(fields, 'template', { required: true });
+  // Reject names Companion never sends, so a typo fails here and not in class
+  const unknown = usedVariables(template).filter(v => !LENS_VARIABLES.includes(v));
+  if (unknown.length) {
+    throw new HttpError(400, `Unknown variable${unknown.length > 1 ? 's' : ''} ${unknown.map(v => `{{${v}}}`).join(', ')}. A lens provides: ${LENS_VARIABLES.join(', ')}.`);
+  }
+  return {
+    name,
+    icon: text(fields, 'icon') || '◆',
+    color: color.toLowerCase(),
+    description: text(fields, 'description'),
+    template,
+  };
+}
+
+// ── Lenses ────────────────────────────────────────────────────────────────────
+// The course's own lenses, then the all-courses ones it has no lens of that id for
+function inForce(course = '') {
+  const own = course ? load().filter(l => l.course === course) : [];
+  const ids = new Set(own.map(l => l.id));
+  return [...own, ...load().filter(l => l.course === '' && !ids.has(l.id))];
+}
+
+function listLenses(course) {
+  return inForce(course).map(({ id, name, icon, color, description, version }) => ({ id, name, icon, color, description, version }));
+}
+
+function allLenses() {
+  return load();
+}
+
+function saveLens({ id, course = '', ...fields }) {
+  course = String(course).trim();
+  const checked = lensFields(fields);
+  const now = new Date().toISOString();
+  const all = load();
+  const existing = id && all.find(l => l.id === id && l.course === course);
+  if (id && !existing) throw new HttpError(404, `No lens "${id}" for ${course || 'all courses'}.`);
+  if (existing) {
+    Object.assign(existing, checked, { version: existing.version + 1, updated: now });
+    save();
+    return existing;
+  }
+  if (all.filter(l => l.course === course).length >= MAX_LENSES) throw new HttpError(400, `A course may have at most ${MAX_LENSES} lenses.`);
+  // A name already taken in this course gets a numbered id
+  const base = slug(checked.name);
+  let newId = base;
+  for (let n = 2; all.some(l => l.id === newId && l.course === course); n++) newId = `${base}-${n}`;
+  const lens = { id: newId, course, ...checked, version: 1, created: now, updated: now };
+  all.push(lens);
+  save();
+  return lens;
+}
+
+function removeLens(id, course = '') {
+  const all = load();
+  const i = all.findIndex(l => l.id === id && l.course === course);
+  if (i < 0) throw new HttpError(404, `No lens "${id}" for ${course || 'all courses'}.`);
+  all.splice(i, 1);
+  save();
+}
+
+// ── Lens packs ────────────────────────────────────────────────────────────────
+function exportPack(course = '') {
+  return {
+    type: PACK_TYPE,
+    version: 1,
+    exported: new Date().toISOString(),
+    lenses: inForce(course).map(({ name, icon, color, description, template }) => ({ name, icon, color, description, template })),
+  };
+}
+
+// Checks every lens before saving any, so a bad pack changes nothing
+function importPack(pack, course = '') {
+  course = String(course ?? '').trim();
+  if (pack?.type !== PACK_TYPE || !Array.isArray(pack.lenses)) throw new HttpError(400, 'This is not an Open Margins lens pack.');
+  if (pack.version !== 1) throw new HttpError(400, `Lens pack version ${pack.version} is newer than this server reads.`);
+  const checked = pack.lenses.map((fields, i) => {
+    try {
+      return lensFields(fields || {});
+    } catch (err) {
+      throw new HttpError(400, `Lens ${i + 1}${fields?.name ? ` ("${fields.name}")` : ''}: ${err.message}`);
+    }
+  });
+  const own = load().filter(l => l.course === course);
+  const have = new Set(own.map(l => slug(l.name)));
+  const adding = new Set(checked.map(f => slug(f.name)).filter(s => !have.has(s)));
+  if (own.length + adding.size > MAX_LENSES) throw new HttpError(400, `A course may have at most ${MAX_LENSES} lenses.`);
+  return checked.map(fields => {
+    const same = load().find(l => l.course === course && slug(l.name) === slug(fields.name));
+    return saveLens({ ...fields, course, id: same?.id });
+  });
+}
+
+// ── Templates ─────────────────────────────────────────────────────────────────
+addTemplateSource('lens', (id, course) => {
+  const lens = inForce(course).find(l => l.id === id);
+  return lens && {
+    version: lens.version,
+    description: `Companion lens — ${lens.name}`,
+    variables: LENS_VARIABLES,
+    text: lens.template,
+    course: lens.course,
+  };
+});
+
+module.exports = { listLenses, allLenses, saveLens, removeLens, exportPack, importPack };
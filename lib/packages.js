@@ -0,0 +1,387 @@
+/**
+ * Open Margins — Course packages
+ *
+ * Imports IMS Common Cartridge exports (.imscc) and Moodle course backups
+ * (.mbz) so their pages can be browsed like a Pressbooks book: each module
+ * or course section becomes a part, and each page, book, discussion,
+ * assignment description or attached document becomes a chapter.
+ *
+ * An imported package is saved as DATA_DIR/packages/<id>.json, where id is a
+ * hash of the file, and is addressed everywhere a book URL is accepted as
+ * "package:<id>". /api/toc, /api/chapter and /api/book answer for it from the
+ * saved file, so the part/chapter picker works unchanged.
+ *
+ *   importPackage(buffer, filename) → { id, bookUrl, title, kind, partCount, chapterCount, wordCount, skipped }
+ *   isPackageUrl(bookUrl)           → true for package:<id>
+ *   packageToc(bookUrl)             → parts, in the /api/toc shape
+ *   packageChapter(bookUrl, id)     → chapter, in the /api/chapter shape (with blocks)
+ *
+ * Quizzes, question banks and links to other sites have no readable text and
+ * are listed in skipped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const util = require('util');
+const zlib = require('zlib');
+const { parseDocument, DomUtils } = require('htmlparser2');
+const { DATA_DIR } = require('./config');
+const { HttpError } = require('./errors');
+const { htmlToBlocks, blocksToText, countWords } = require('./html');
+const { extractDocument } = require('./extract');
+const { openZip } = require('./zip');
+const { writeFileAtomicSync } = require('./store');
+
+const PACKAGES_DIR = path.join(DATA_DIR, 'packages');
+const PACKAGE_PREFIX = 'package:';
+const MAX_UNPACKED_MB = 500; // guards against archives that expand enormously
+const MAX_FILE_MB = 100;     // any one file in the archive
+const MAX_LOADED = 4;        // saved packages kept parsed in memory
+
+const gunzip = util.promisify(zlib.gunzip);
+
+// ── Archives (.imscc is a zip; .mbz is a gzipped tar, or a zip from older Moodles) ──
+// A minimal ustar reader: Moodle writes plain files, long names via the
+// ustar prefix field or GNU/pax long-name entries.
+function readTar(buffer) {
+  const files = new Map();
+  let offset = 0;
+  let longName = null;
+  while (offset + 512 <= buffer.length) {
+    const header = buffer.subarray(offset, offset + 512);
+    if (header.every(b => b === 0)) break;
+    const field = (start, length) => header.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+    const size = parseInt(field(124, 12).trim() || '0', 8);
+    const type = field(156, 1) || '0';
+    const prefix = field(257, 5) === 'ustar' ? field(345, 155) : '';
+    const name = longName || (prefix ? `${prefix}/${field(0, 100)}` : field(0, 100));
+    const body = buffer.subarray(offset + 512, offset + 512 + size);
+    longName = null;
+    if (type === 'L') longName = body.toString('utf8').replace(/\0.*$/s, '');
+    else if (type === 'x') longName = body.toString('utf8').match(/^\d+ path=(.*)$/m)?.[1] || null;
+    else if (type === '0') files.set(name.replace(/^\.\//, ''), body);
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return files;
+}
+
+// → { read(name) → Buffer | null }
+async function openArchive(buffer) {
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    let files;
+    try {
+      // Off the main thread, so other requests are served while it inflates
+      files = readTar(await gunzip(buffer, { maxOutputLength: MAX_UNPACKED_MB * 1024 * 1024 }));
+    } catch (err) {
+      if (err.code === 'ERR_BUFFER_TOO_LARGE') throw new HttpError(413, `This package unpacks to more than ${MAX_UNPACKED_MB} MB.`);
+      throw new HttpError(422, `This package could not be unpacked: ${err.message}`);
+    }
+    return { read: async name => files.get(name) || null };
+  }
+  return openZip(buffer, {
+    maxBytes: MAX_UNPACKED_MB * 1024 * 1024,
+    entryBytes: MAX_FILE_MB * 1024 * 1024,
+    notZip: 'This file is not a Common Cartridge (.imscc) or Moodle backup (.mbz).',
+  });
+}
+
+async function readText(archive, name) {
+  const data = await archive.read(name);
+  return data ? data.toString('utf8') : null;
+}
+
+// ── XML helpers ───────────────────────────────────────────────────────────────
+// Manifests mix namespace prefixes (imscp:item, lomimscc:title), so elements
+// are matched by local name.
+function localName(node) {
+  return (node.name || '').split(':').pop().toLowerCase();
+}
+
+function parseXml(xml) {
+  return parseDocument(xml, { xmlMode: true });
+}
+
+function children(el, name) {
+  return (el?.children || []).filter(c => localName(c) === name);
+}
+
+function child(el, name) {
+  return children(el, name)[0] || null;
+}
+
+function descendant(el, name) {
+  return el ? DomUtils.findOne(n => localName(n) === name, el.children, true) : null;
+}
+
+// Moodle writes empty values as $@NULL@$
+function textOf(el) {
+  const text = el ? DomUtils.textContent(el).trim() : '';
+  return text === '$@NULL@$' ? '' : text;
+}
+
+// ── Chapters ──────────────────────────────────────────────────────────────────
+function htmlChapter(title, html) {
+  const blocks = htmlToBlocks(html || '').filter(b => b.type !== 'figure' || b.alt || b.caption);
+  return { title, blocks };
+}
+
+// A document attached to the course (PDF, Word, slides…), read by lib/extract.js
+async function fileChapter(title, buffer, filename) {
+  const doc = await extractDocument(buffer, { filename });
+  return { title, blocks: doc.blocks };
+}
+
+function isHtmlFile(name) {
+  return /\.x?html?$/i.test(name || '');
+}
+
+// ── IMS Common Cartridge ──────────────────────────────────────────────────────
+// Resource types with no readable text of their own
+const CC_SKIPPED_TYPES = /imsqti|assessment|question-bank|imswl_|imsbasiclti/i;
+
+async function readCartridgeResource(archive, resource, title) {
+  const type = resource.attribs.type || '';
+  const href = resource.attribs.href || children(resource, 'file')[0]?.attribs.href;
+  if (!href) return null;
+  const file = decodeURIComponent(href);
+
+  // Discussion topics: <topic><title/><text texttype="text/html">…</text></topic>
+  if (/imsdt_/i.test(type)) {
+    const xml = await readText(archive, file);
+    return xml && htmlChapter(title, textOf(descendant(parseXml(xml), 'text')));
+  }
+  const data = await archive.read(file);
+  if (!data) return null;
+  if (isHtmlFile(file)) return htmlChapter(title, data.toString('utf8'));
+  // Canvas keeps assignment descriptions beside their settings XML
+  if (/\.xml$/i.test(file)) {
+    const htmlFile = children(resource, 'file').map(f => decodeURIComponent(f.attribs.href || '')).find(isHtmlFile);
+    const html = htmlFile && await readText(archive, htmlFile);
+    return html ? htmlChapter(title, html) : null;
+  }
+  return fileChapter(title, data, file);
+}
+
+async function readCartridge(archive) {
+  const manifest = parseXml(await readText(archive, 'imsmanifest.xml'));
+  const lom = descendant(manifest, 'metadata');
+  const title = textOf(descendant(descendant(descendant(lom, 'general'), 'title'), 'string')) || 'Course package';
+
+  const resources = new Map();
+  for (const r of DomUtils.findAll(n => localName(n) === 'resource', manifest.children)) {
+    resources.set(r.attribs.identifier, r);
+  }
+
+  const organization = descendant(manifest, 'organization');
+  let top = children(organization, 'item');
+  // Most cartridges wrap every module in one root item
+  if (top.length === 1 && !top[0].attribs.identifierref) top = children(top[0], 'item');
+
+  const parts = [];
+  const skipped = [];
+  const loose = { title: 'Course materials', chapters: [] };
+  for (const item of top) {
+    const part = item.attribs.identifierref ? loose : { title: textOf(child(item, 'title')) || 'Untitled module', chapters: [] };
+    // Items nested inside a module are flattened into it, keeping their order
+    const leaves = item.attribs.identifierref
+      ? [item]
+      : DomUtils.findAll(n => localName(n) === 'item' && n.attribs.identifierref, item.children);
+    for (const leaf of leaves) {
+      const leafTitle = textOf(child(leaf, 'title')) || 'Untitled';
+      const resource = resources.get(leaf.attribs.identifierref);
+      if (!resource || CC_SKIPPED_TYPES.test(resource.attribs.type || '')) {
+        skipped.push({ title: leafTitle, type: resource?.attribs.type || 'missing' });
+        continue;
+      }
+      try {
+        const chapter = await readCartridgeResource(archive, resource, leafTitle);
+        if (chapter?.blocks.length) part.chapters.push(chapter);
+        else skipped.push({ title: leafTitle, type: resource.attribs.type || 'empty' });
+      } catch (err) {
+        skipped.push({ title: leafTitle, type: resource.attribs.type || '', error: err.message });
+      }
+    }
+    if (part !== loose) parts.push(part);
+  }
+  if (loose.chapters.length) parts.unshift(loose);
+  return { kind: 'imscc', title, parts, skipped };
+}
+
+// ── Moodle backup ─────────────────────────────────────────────────────────────
+// Modules with no readable text beyond their description
+const MOODLE_SKIPPED_MODULES = new Set(['quiz', 'url', 'lti', 'h5pactivity', 'scorm', 'choice', 'feedback']);
+
+// Course files by id, from files.xml; each is stored at files/<hash[0:2]>/<hash>
+function moodleFiles(xml) {
+  const files = new Map();
+  if (!xml) return files;
+  for (const f of DomUtils.findAll(n => localName(n) === 'file', parseXml(xml).children)) {
+    files.set(f.attribs.id, {
+      hash: textOf(child(f, 'contenthash')),
+      filename: textOf(child(f, 'filename')),
+      filearea: textOf(child(f, 'filearea')),
+    });
+  }
+  return files;
+}
+
+async function readMoodleActivity(archive, activity, files) {
+  const { modulename, directory, title } = activity;
+  const xml = await readText(archive, `${directory}/${modulename}.xml`);
+  if (!xml) return null;
+  const module = descendant(parseXml(xml), modulename);
+  const intro = textOf(child(module, 'intro'));
+
+  if (modulename === 'page') return htmlChapter(title, textOf(child(module, 'content')) || intro);
+  if (modulename === 'book') {
+    const chapters = DomUtils.findAll(n => localName(n) === 'chapter', module?.children || [])
+      .filter(c => textOf(child(c, 'hidden')) !== '1')
+      .map(c => `<h2>${textOf(child(c, 'title'))}</h2>${textOf(child(c, 'content'))}`);
+    return htmlChapter(title, intro + chapters.join(''));
+  }
+  if (modulename === 'resource') {
+    // The attached file, via the activity's inforef.xml
+    const inforef = await readText(archive, `${directory}/inforef.xml`);
+    const ids = inforef ? DomUtils.findAll(n => localName(n) === 'id', parseXml(inforef).children).map(textOf) : [];
+    const file = ids.map(id => files.get(id)).find(f => f && f.filename !== '.' && f.filearea === 'content');
+    const data = file && await archive.read(`files/${file.hash.slice(0, 2)}/${file.hash}`);
+    if (data) return fileChapter(title, data, file.filename);
+  }
+  return htmlChapter(title, intro);
+}
+
+async function readMoodle(archive) {
+  const backup = parseXml(await readText(archive, 'moodle_backup.xml'));
+  const info = descendant(backup, 'information');
+  const title = textOf(child(info, 'original_course_fullname')) || 'Moodle course';
+  const contents = child(info, 'contents');
+  const files = moodleFiles(await readText(archive, 'files.xml'));
+
+  const activities = children(child(contents, 'activities'), 'activity').map(a => ({
+    moduleid: textOf(child(a, 'moduleid')),
+    sectionid: textOf(child(a, 'sectionid')),
+    modulename: textOf(child(a, 'modulename')),
+    title: textOf(child(a, 'title')) || 'Untitled',
+    directory: textOf(child(a, 'directory')),
+  }));
+
+  const parts = [];
+  const skipped = [];
+  for (const s of children(child(contents, 'sections'), 'section')) {
+    const sectionid = textOf(child(s, 'sectionid'));
+    const sectionXml = await readText(archive, `${textOf(child(s, 'directory'))}/section.xml`);
+    const section = sectionXml ? descendant(parseXml(sectionXml), 'section') : null;
+    const part = { title: textOf(child(s, 'title')) || textOf(child(section, 'name')) || `Section ${sectionid}`, chapters: [] };
+
+    const summary = htmlChapter('Overview', textOf(child(section, 'summary')));
+    if (summary.blocks.length) part.chapters.push(summary);
+
+    // The section's own order, then anything it does not list
+    const sequence = textOf(child(section, 'sequence')).split(',').filter(Boolean);
+    const inSection = activities.filter(a => a.sectionid === sectionid)
+      .sort((a, b) => (sequence.indexOf(a.moduleid) >>> 0) - (sequence.indexOf(b.moduleid) >>> 0));
+    for (const activity of inSection) {
+      if (MOODLE_SKIPPED_MODULES.has(activity.modulename)) {
+        skipped.push({ title: activity.title, type: activity.modulename });
+        continue;
+      }
+      try {
+        const chapter = await readMoodleActivity(archive, activity, files);
+        if (chapter?.blocks.length) part.chapters.push(chapter);
+        else skipped.push({ title: activity.title, type: activity.modulename });
+      } catch (err) {
+        skipped.push({ title: activity.title, type: activity.modulename, error: err.message });
+      }
+    }
+    parts.push(part);
+  }
+  return { kind: 'moodle', title, parts, skipped };
+}
+
+// ── Import, save and read back ────────────────────────────────────────────────
+function packageFile(id) {
+  return path.join(PACKAGES_DIR, `${id}.json`);
+}
+
+async function importPackage(buffer, filename = '') {
+  if (!buffer?.length) throw new HttpError(400, 'The uploaded file is empty.');
+  const id = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 16);
+  const archive = await openArchive(buffer);
+
+  let read;
+  if (await archive.read('imsmanifest.xml')) read = readCartridge;
+  else if (await archive.read('moodle_backup.xml')) read = readMoodle;
+  else throw new HttpError(422, 'No imsmanifest.xml or moodle_backup.xml found. Upload a Common Cartridge (.imscc) or Moodle backup (.mbz).');
+  const { kind, title, parts, skipped } = await read(archive);
+
+  // Number parts and chapters the way the picker expects, dropping empty parts
+  const record = { id, kind, title, filename, imported: new Date().toISOString(), parts: [], chapters: {} };
+  let nextId = 1;
+  for (const part of parts.filter(p => p.chapters.length)) {
+    const partId = record.parts.length + 1;
+    const entries = part.chapters.map(({ title: chapterTitle, blocks }) => {
+      const text = blocksToText(blocks);
+      const chapter = { id: nextId++, title: chapterTitle, link: '', wordCount: countWords(text), text, blocks };
+      record.chapters[chapter.id] = chapter;
+      return { id: chapter.id, title: chapter.title, link: '', wordCount: chapter.wordCount };
+    });
+    record.parts.push({ id: partId, title: part.title, chapters: entries });
+  }
+  if (!record.parts.length) throw new HttpError(422, 'This package has no pages or documents with readable text.');
+
+  writeFileAtomicSync(packageFile(id), JSON.stringify(record));
+  remember(record);
+
+  const chapters = Object.values(record.chapters);
+  return {
+    id,
+    bookUrl: `${PACKAGE_PREFIX}${id}`,
+    title,
+    kind,
+    partCount: record.parts.length,
+    chapterCount: chapters.length,
+    wordCount: chapters.reduce((sum, c) => sum + c.wordCount, 0),
+    skipped,
+  };
+}
+
+function isPackageUrl(bookUrl) {
+  return typeof bookUrl === 'string' && bookUrl.startsWith(PACKAGE_PREFIX);
+}
+
+// A package's file never changes (its id is a hash of what was imported), so
+// the few read most recently stay parsed: /api/book asks for every chapter
+const loaded = new Map(); // id → record, least recently used first
+
+function remember(record) {
+  loaded.delete(record.id);
+  loaded.set(record.id, record);
+  if (loaded.size > MAX_LOADED) loaded.delete(loaded.keys().next().value);
+  return record;
+}
+
+function loadPackage(bookUrl) {
+  const id = bookUrl.slice(PACKAGE_PREFIX.length);
+  if (!/^[0-9a-f]{16}$/.test(id)) throw new HttpError(400, 'Not a valid course package id.');
+  if (loaded.has(id) && fs.existsSync(packageFile(id))) return remember(loaded.get(id));
+  try {
+    return remember(JSON.parse(fs.readFileSync(packageFile(id), 'utf8')));
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new HttpError(404, 'This course package is no longer on the server. Import it again.');
+    throw err;
+  }
+}
+
+function packageToc(bookUrl) {
+  return loadPackage(bookUrl).parts;
+}
+
+function packageChapter(bookUrl, chapterId) {
+  const { chapters } = loadPackage(bookUrl);
+  const chapter = Object.hasOwn(chapters, chapterId) ? chapters[chapterId] : null;
+  if (!chapter) throw new HttpError(404, `No chapter ${chapterId} in this course package.`);
+  return chapter;
+}
+
+module.exports = { importPackage, isPackageUrl, packageToc, packageChapter };
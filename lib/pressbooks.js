@@ -0,0 +1,174 @@
+/**
+ * Open Margins — Pressbooks helpers
+ *
+ * Shared by the /api/networks, /api/books, /api/toc and /api/chapter routes:
+ * the trusted networks, the junk-book filter, the book shape returned to the
+ * front ends, and the host check that keeps the proxy pointed at trusted
+ * Pressbooks sites.
+ *
+ * Trusted sites are listed in pressbooks-networks.json (or PB_NETWORKS_FILE):
+ *
+ *   {
+ *     "networks": [
+ *       { "id": "tru", "name": "TRU Open Press", "url": "https://pressbooks.tru.ca",
+ *         "junk": { "slugKeywords": [...], "titleKeywords": [...] } }
+ *     ],
+ *     "books": ["https://pressbooks.example.edu/onebook"]
+ *   }
+ *
+ * A network trusts its own host and every subdomain of it, so both subdomain
+ * installs (book.pressbooks.tru.ca) and subdirectory installs
+ * (opentextbc.ca/book) work. "books" trusts single books on networks that are
+ * not listed; they are browsable together as the "books" network.
+ *
+ * "junk" sets that network's filter for sandbox and test books. Leave it out
+ * to use the default keywords below, or set it to false to show every book.
+ */
+
+const fs = require('fs');
+const { PB_NETWORKS_FILE } = require('./config');
+const { HttpError } = require('./errors');
+
+// ── Default book quality filter ───────────────────────────────────────────────
+// Excludes obvious sandbox, personal dev, workshop, and test books.
+// Tip for Pressbooks staff: marking a book as inCatalog=true in the Network
+// Manager will cause it to always appear regardless of this heuristic.
+const DEFAULT_JUNK = {
+  slugKeywords: [
+    'sandbox', 'sample', 'test', 'demo', 'h5p', 'hypothesis',
+    'import', 'workshop', 'template', 'training', 'trial',
+    'temp', '-dev', 'devsite', 'dev2',
+  ],
+  titleKeywords: [
+    'sandbox', 'sample', 'testbook', 'test book', 'demo book',
+    'workshop', 'template', 'dev site', 'dev 2',
+  ],
+};
+
+// ── Trusted networks ──────────────────────────────────────────────────────────
+const BOOKS_NETWORK_ID = 'books';
+let config = null; // { networks, books }, read once
+
+function trimSlash(url) {
+  return url.replace(/\/+$/, '');
+}
+
+function loadConfig() {
+  if (config) return config;
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(PB_NETWORKS_FILE, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read Pressbooks networks from ${PB_NETWORKS_FILE}: ${err.message}`);
+  }
+  const networks = (raw.networks || []).map(n => {
+    if (!n.id || !n.url) throw new Error(`Every Pressbooks network in ${PB_NETWORKS_FILE} needs an id and a url.`);
+    if (n.id === BOOKS_NETWORK_ID) throw new Error(`"${BOOKS_NETWORK_ID}" is reserved for single trusted books; choose another network id.`);
+    const url = new URL(n.url);
+    return {
+      id: String(n.id),
+      name: n.name || url.hostname,
+      url: trimSlash(url.href),
+      protocol: url.protocol,
+      host: url.hostname,
+      path: trimSlash(url.pathname),
+      junk: n.junk === false ? null : { ...DEFAULT_JUNK, ...n.junk },
+    };
+  });
+  const books = (raw.books || []).map(b => trimSlash(new URL(b).href));
+  if (!networks.length && !books.length) throw new Error(`${PB_NETWORKS_FILE} lists no Pressbooks networks or books.`);
+  config = { networks, books };
+  return config;
+}
+
+// Networks as the front ends see them; the first is the default.
+function listNetworks() {
+  const { networks, books } = loadConfig();
+  const list = networks.map(({ id, name, url }) => ({ id, name, url }));
+  if (books.length) list.push({ id: BOOKS_NETWORK_ID, name: 'Other trusted books', url: null });
+  return list;
+}
+
+// The network with this id (the default when id is empty). Single trusted
+// books come back as { id: 'books', books: [...] }.
+function getNetwork(id) {
+  const { networks, books } = loadConfig();
+  if (!id) return networks[0] || { id: BOOKS_NETWORK_ID, books };
+  if (id === BOOKS_NETWORK_ID && books.length) return { id: BOOKS_NETWORK_ID, books };
+  const network = networks.find(n => n.id === id);
+  if (!network) throw new HttpError(404, `Unknown Pressbooks network "${id}". Expected one of: ${listNetworks().map(n => n.id).join(', ')}`);
+  return network;
+}
+
+function inNetwork(parsed, network) {
+  const hostOk = parsed.hostname === network.host || parsed.hostname.endsWith(`.${network.host}`);
+  // A network installed under a path (https://example.edu/press) only trusts books below it
+  const pathOk = !network.path || parsed.hostname !== network.host
+    || parsed.pathname === network.path || parsed.pathname.startsWith(`${network.path}/`);
+  return parsed.protocol === network.protocol && hostOk && pathOk;
+}
+
+// ── Book quality filter ───────────────────────────────────────────────────────
+// The book's slug: its subdomain on subdomain installs, else its first path segment.
+function bookSlug(link, network) {
+  try {
+    const parsed = new URL(link);
+    if (parsed.hostname !== network.host) return parsed.hostname.slice(0, -network.host.length - 1);
+    return parsed.pathname.slice(network.path.length).split('/').filter(Boolean)[0] || '';
+  } catch {
+    return '';
+  }
+}
+
+function isJunkBook(b, network) {
+  const meta = b.metadata || {};
+  // Always keep books explicitly marked inCatalog by Pressbooks staff
+  if (meta.inCatalog === true) return false;
+  if (!network.junk) return false;
+  const slug  = bookSlug(b.link || '', network).toLowerCase();
+  const title = (meta.name || '').toLowerCase();
+  if (network.junk.slugKeywords.some(k => slug.includes(k.toLowerCase())))  return true;
+  if (network.junk.titleKeywords.some(k => title.includes(k.toLowerCase()))) return true;
+  return false;
+}
+
+// ── Helper: parse a raw Pressbooks book object into our shape ─────────────────
+function parseBook(b) {
+  const meta = b.metadata || {};
+  const title = meta.name || b.title || 'Untitled';
+  const authorArr = Array.isArray(meta.author) ? meta.author : [];
+  const author = authorArr.map(a => a.name).filter(Boolean).join(', ');
+  const license = meta.license?.code || meta.license?.name || '';
+  const aboutArr = Array.isArray(meta.about) ? meta.about : [];
+  const subject = aboutArr.map(a => a.name).filter(Boolean).join(', ');
+  return {
+    id: b.id,
+    title: title.trim(),
+    link: (b.link || '').replace(/\/$/, ''),
+    author,
+    license,
+    subject,
+    inCatalog: meta.inCatalog === true,
+    wordCount: meta.wordCount || 0,
+    lastUpdated: meta.lastUpdated || '',
+  };
+}
+
+// ── Security: only allow requests to trusted Pressbooks sites ─────────────────
+// Returns an error message for the client, or null when the URL is allowed.
+function checkBookUrl(bookUrl) {
+  let parsed;
+  try {
+    parsed = new URL(bookUrl);
+  } catch {
+    return 'bookUrl is not a valid URL.';
+  }
+  if (parsed.username || parsed.password) return 'bookUrl must not contain a user name or password.';
+  const { networks, books } = loadConfig();
+  if (networks.some(n => inNetwork(parsed, n))) return null;
+  if (books.includes(trimSlash(parsed.href))) return null;
+  const trusted = [...networks.map(n => n.host + n.path), ...books.map(b => new URL(b).host + new URL(b).pathname)];
+  return `bookUrl must be a book on a trusted Pressbooks site (${trusted.join(', ')}).`;
+}
+
+module.exports = { listNetworks, getNetwork, isJunkBook, parseBook, checkBookUrl, BOOKS_NETWORK_ID };
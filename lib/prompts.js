@@ -0,0 +1,261 @@
+/**
+ * Open Margins — Prompt template registry
+ *
+ * Default templates live in prompts/<tool>/<name>.md, one file each, and are
+ * addressed as "<tool>.<name>" (e.g. companion.illuminate). Each file starts
+ * with a short header:
+ *
+ *   ---
+ *   version: 2
+ *   description: Companion — Illuminate lens
+ *   variables: context, excerpt
+ *   max_tokens: 1000                 (optional)
+ *   ---
+ *   [system]                         (optional; everything before [user])
+ *   You are …
+ *   [user]
+ *   PASSAGE: "{{excerpt}}"
+ *
+ * Bump version whenever a default's wording changes.
+ *
+ * Template syntax:
+ *   {{name}}                      → the variable's value (required)
+ *   {{#name}} … {{/name}}         → only when name is set and not empty/false
+ *   {{^name}} … {{/name}}         → only when name is empty/false/missing
+ *   {{#name:value}} … {{/name:value}} → only when name equals value
+ *   {{> tool.other}}              → another template's user text (a partial)
+ *
+ * Instructors override a template for one course, or for every course
+ * (course ""), through the admin routes. Overrides are kept in
+ * DATA_DIR/prompt-overrides.json with their full history: every save is a
+ * new version, and resetting to the default is recorded as a version too.
+ *
+ *   listTemplates()                        → default templates (no text)
+ *   resolveTemplate(id, course)            → the template in force for a course
+ *   renderTemplate(id, variables, course)  → { system, user, maxTokens, ref }
+ *   saveOverride / resetOverride / overrideHistory / activeOverrides → used by lib/routes/prompts.js
+ *
+ * ref identifies exactly which text produced an output, e.g.
+ * "sylva.lesson-arc@1" or "sylva.lesson-arc@1+BIOL 1110#3" (override 3).
+ *
+ * Templates kept elsewhere register a source for their prefix with
+ * addTemplateSource: Companion lenses (lib/lenses.js) are "lens.<id>", e.g.
+ * "lens.plain-language@2+BIOL 1110". They have no overrides of their own.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./config');
+const { HttpError } = require('./errors');
+const { createStore } = require('./store');
+
+const PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+const OVERRIDES_FILE = path.join(DATA_DIR, 'prompt-overrides.json');
+const MAX_PARTIAL_DEPTH = 5;
+
+// ── Default templates ─────────────────────────────────────────────────────────
+function parseTemplateFile(id, raw) {
+  const match = raw.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/);
+  if (!match) throw new Error(`Prompt template ${id} is missing its --- header.`);
+  const header = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const m = line.match(/^(\w+):\s*(.*)$/);
+    if (m) header[m[1]] = m[2].trim();
+  }
+  const { system, user } = splitSections(match[2]);
+  return {
+    id,
+    tool: id.split('.')[0],
+    version: parseInt(header.version || '1', 10),
+    description: header.description || '',
+    variables: (header.variables || '').split(',').map(v => v.trim()).filter(Boolean),
+    maxTokens: header.max_tokens ? parseInt(header.max_tokens, 10) : null,
+    system,
+    template: user,
+  };
+}
+
+// Splits a template body on its [system] / [user] marker lines.
+function splitSections(body) {
+  const parts = body.split(/^\[(system|user)\]\s*$/m);
+  if (parts.length === 1) return { system: '', user: body.trim() };
+  const out = { system: '', user: '' };
+  for (let i = 1; i < parts.length; i += 2) out[parts[i]] = parts[i + 1].trim();
+  return out;
+}
+
+let defaults = null; // Map id → template, read once
+
+function loadDefaults() {
+  if (defaults) return defaults;
+  defaults = new Map();
+  for (const tool of fs.readdirSync(PROMPTS_DIR)) {
+    const dir = path.join(PROMPTS_DIR, tool);
+    if (!fs.statSync(dir).isDirectory()) continue;
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.md')).sort()) {
+      const id = `${tool}.${file.slice(0, -3)}`;
+      defaults.set(id, parseTemplateFile(id, fs.readFileSync(path.join(dir, file), 'utf8')));
+    }
+  }
+  return defaults;
+}
+
+function getDefault(id) {
+  const template = loadDefaults().get(id);
+  if (!template) throw new HttpError(404, `No prompt template "${id}".`);
+  return template;
+}
+
+function listTemplates() {
+  return [...loadDefaults().values()].map(({ system, template, ...meta }) => meta);
+}
+
+// ── Overrides ─────────────────────────────────────────────────────────────────
+// Each is { id, course, version, system, template, note, removed, created }
+const { load: loadOverrides, save: saveOverrides } = createStore(OVERRIDES_FILE, { what: 'prompt overrides' });
+
+// Every saved version for one template and course, oldest first.
+function overrideHistory(id, course = '') {
+  getDefault(id);
+  return loadOverrides().filter(o => o.id === id && o.course === course);
+}
+
+// The override in force for every template and course that has one.
+function activeOverrides() {
+  const latest = new Map();
+  for (const o of loadOverrides()) latest.set(`${o.id}\n${o.course}`, o);
+  return [...latest.values()].filter(o => !o.removed);
+}
+
+function latestOverride(id, course) {
+  const history = loadOverrides().filter(o => o.id === id && o.course === course);
+  const latest = history[history.length - 1];
+  return latest && !latest.removed ? latest : null;
+}
+
+function addOverrideVersion(id, course, fields) {
+  const history = overrideHistory(id, course);
+  const record = {
+    id,
+    course,
+    version: history.length ? history[history.length - 1].version + 1 : 1,
+    ...fields,
+    created: new Date().toISOString(),
+  };
+  loadOverrides().push(record);
+  saveOverrides();
+  return record;
+}
+
+function saveOverride(id, { course = '', system = '', template, note = '' }) {
+  const base = getDefault(id);
+  if (!template || typeof template !== 'string') throw new HttpError(400, 'template text is required.');
+  // Reject names the tool never sends, so a typo fails here and not in class
+  const unknown = usedVariables(`${system}\n${template}`).filter(v => !base.variables.includes(v));
+  if (unknown.length) {
+    throw new HttpError(400, `Unknown variable${unknown.length > 1 ? 's' : ''} ${unknown.map(v => `{{${v}}}`).join(', ')}. This template provides: ${base.variables.join(', ') || 'none'}.`);
+  }
+  return addOverrideVersion(id, String(course).trim(), { system, template, note, removed: false });
+}
+
+function resetOverride(id, course = '') {
+  getDefault(id);
+  return addOverrideVersion(id, String(course).trim(), { system: '', template: '', note: 'Reset to default', removed: true });
+}
+
+// ── Other template sources ────────────────────────────────────────────────────
+// prefix → find(name, course), which returns the template in force for the
+// course as { version, description, variables, text, course } or null
+const sources = new Map();
+
+function addTemplateSource(prefix, find) {
+  sources.set(prefix, find);
+}
+
+function sourcedTemplate(id, course) {
+  const dot = id.indexOf('.');
+  const find = dot > 0 && sources.get(id.slice(0, dot));
+  if (!find) return null;
+  const found = find(id.slice(dot + 1), course);
+  if (!found) throw new HttpError(404, `No prompt template "${id}".`);
+  const { system, user } = splitSections(found.text);
+  return {
+    id,
+    tool: id.slice(0, dot),
+    version: found.version,
+    description: found.description,
+    variables: found.variables,
+    maxTokens: null,
+    system,
+    template: user,
+    override: null,
+    ref: `${id}@${found.version}${found.course ? `+${found.course}` : ''}`,
+  };
+}
+
+// ── Resolving and rendering ───────────────────────────────────────────────────
+// The course's own override, else the all-courses override, else the default.
+function resolveTemplate(id, course = '') {
+  const sourced = sourcedTemplate(id, course);
+  if (sourced) return sourced;
+  const base = getDefault(id);
+  const override = (course && latestOverride(id, course)) || latestOverride(id, '');
+  if (!override) return { ...base, override: null, ref: `${id}@${base.version}` };
+  return {
+    ...base,
+    system: override.system,
+    template: override.template,
+    override: { course: override.course, version: override.version, note: override.note, created: override.created },
+    ref: `${id}@${base.version}+${override.course || 'all'}#${override.version}`,
+  };
+}
+
+function usedVariables(text) {
+  const names = new Set();
+  for (const m of text.matchAll(/\{\{\s*([#^/]?)\s*([\w-]+)(?::[^}]*)?\s*\}\}/g)) names.add(m[2]);
+  return [...names];
+}
+
+function isSet(value) {
+  return value !== undefined && value !== null && value !== false && value !== '';
+}
+
+function fill(text, variables, course, depth, missing = new Set()) {
+  // Sections first (innermost last), then partials and plain variables in
+  // one pass, so text a value or partial brings in is never filled again
+  const sectionRe = /\{\{([#^])\s*([\w-]+)(?::([^}]*))?\s*\}\}([\s\S]*?)\{\{\/\s*\2(?::\3)?\s*\}\}/g;
+  let out = text;
+  for (let prev = null; prev !== out;) {
+    prev = out;
+    out = out.replace(sectionRe, (_, kind, name, value, inner) => {
+      const show = value !== undefined ? String(variables[name]) === value : isSet(variables[name]);
+      return (kind === '#' ? show : !show) ? inner : '';
+    });
+  }
+  out = out.replace(/\{\{\s*(?:>\s*([\w.-]+)|([\w-]+))\s*\}\}/g, (_, id, name) => {
+    if (id) {
+      if (depth >= MAX_PARTIAL_DEPTH) throw new HttpError(500, `Prompt partials nest too deeply at ${id}.`);
+      return fill(resolveTemplate(id, course).template, variables, course, depth + 1, missing);
+    }
+    if (!isSet(variables[name]) && variables[name] !== 0) { missing.add(name); return ''; }
+    return String(variables[name]);
+  });
+  if (depth === 0 && missing.size) throw new HttpError(400, `Missing prompt variable${missing.size > 1 ? 's' : ''}: ${[...missing].join(', ')}.`);
+  return out;
+}
+
+function renderTemplate(id, variables = {}, course = '') {
+  const resolved = resolveTemplate(id, course);
+  return {
+    system: fill(resolved.system, variables, course, 0).trim(),
+    user: fill(resolved.template, variables, course, 0).trim(),
+    maxTokens: resolved.maxTokens,
+    ref: resolved.ref,
+  };
+}
+
+module.exports = {
+  listTemplates, resolveTemplate, renderTemplate,
+  saveOverride, resetOverride, overrideHistory, activeOverrides,
+  addTemplateSource, usedVariables,
+};
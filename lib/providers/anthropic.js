@@ -0,0 +1,70 @@
+/**
+ * Anthropic provider — the Claude Messages API.
+ *
+ * The request and response already match the Open Margins contract, so this
+ * adapter only adds authentication and re-emits the streaming events.
+ */
+
+const { HttpError } = require('../errors');
+const { readEventStream } = require('../sse');
+
+function createAnthropicProvider({ apiKey, baseUrl }) {
+  baseUrl = baseUrl || 'https://api.anthropic.com';
+
+  async function post({ model, max_tokens, system, messages, signal }, stream) {
+    const r = await fetch(`${baseUrl}/v1/messages`, {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+      },
+      body: JSON.stringify({ model, max_tokens, system, messages, stream }),
+    });
+    if (!r.ok) {
+      const body = await r.json().catch(() => ({}));
+      console.error('Claude API error:', r.status, JSON.stringify(body));
+      throw new HttpError(r.status, body?.error?.message || `Claude API returned HTTP ${r.status}`, {
+        retryAfter: r.headers.get('retry-after'),
+      });
+    }
+    return r;
+  }
+
+  return {
+    name: 'anthropic',
+    label: 'Claude API',
+
+    async generate(params) {
+      const r = await post(params, false);
+      return r.json();
+    },
+
+    async stream(params) {
+      const r = await post(params, true);
+      return events(r.body);
+    },
+  };
+}
+
+async function* events(body) {
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  let stop_reason = null;
+
+  for await (const { event, data } of readEventStream(body)) {
+    if (event === 'message_start') {
+      Object.assign(usage, data.message?.usage);
+    } else if (event === 'content_block_delta' && data.delta?.type === 'text_delta') {
+      yield { type: 'delta', text: data.delta.text };
+    } else if (event === 'message_delta') {
+      Object.assign(usage, data.usage);
+      stop_reason = data.delta?.stop_reason ?? stop_reason;
+    } else if (event === 'error') {
+      throw new Error(data.error?.message || 'Claude API stream error');
+    }
+  }
+  yield { type: 'done', usage, stop_reason };
+}
+
+module.exports = { createAnthropicProvider };
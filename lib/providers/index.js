@@ -0,0 +1,70 @@
+/**
+ * Open Margins — Model providers
+ *
+ * /api/generate talks to whichever backend AI_PROVIDER names. Every provider
+ * accepts the same { model, max_tokens, system, messages, signal } and offers:
+ *
+ *   generate(params) → Claude-shaped response body ({ content: [{ text }], usage })
+ *   stream(params)   → async iterable of { type: 'delta', text } … { type: 'done', usage, stop_reason }
+ *
+ * Both throw HttpError (lib/errors.js) when the backend rejects the request.
+ * The provider getProvider() returns is queued (lib/queue.js): requests wait
+ * for a free slot and are retried when the backend is overloaded. With
+ * AI_RECORD=on its replies are also saved as fixtures (lib/fixtures.js),
+ * which the replay provider answers from.
+ *
+ *   AI_PROVIDER   anthropic (default) | openai | ollama | mock | replay
+ *   AI_BASE_URL   backend URL (see each adapter for its default)
+ *   AI_MODEL      model to use for every request, whatever the front end asks for
+ *   AI_API_KEY    key for the openai provider (anthropic uses ANTHROPIC_API_KEY)
+ */
+
+const config = require('../config');
+const { createAnthropicProvider } = require('./anthropic');
+const { createOpenAIProvider } = require('./openai');
+const { createOllamaProvider } = require('./ollama');
+const { createMockProvider } = require('./mock');
+const { createReplayProvider } = require('./replay');
+const { withQueue } = require('../queue');
+const { withRecording } = require('../fixtures');
+
+// Used when AI_MODEL is not set and the requested model (a claude-* name sent
+// by the front ends) means nothing to the backend.
+const DEFAULT_MODELS = {
+  openai: 'gpt-4o-mini',
+  ollama: 'llama3.1',
+  mock:   'mock-1',
+  replay: 'replay-1',
+};
+
+const FACTORIES = {
+  anthropic: () => createAnthropicProvider({ apiKey: config.API_KEY, baseUrl: config.AI_BASE_URL }),
+  openai:    () => createOpenAIProvider({ apiKey: config.AI_API_KEY, baseUrl: config.AI_BASE_URL }),
+  ollama:    () => createOllamaProvider({ baseUrl: config.AI_BASE_URL }),
+  mock:      () => createMockProvider({ delayMs: parseInt(process.env.MOCK_DELAY_MS || '0', 10) }),
+  replay:    () => createReplayProvider({ dir: config.FIXTURES_DIR, delayMs: parseInt(process.env.REPLAY_DELAY_MS || '0', 10) }),
+};
+
+let provider = null;
+
+function getProvider() {
+  if (!provider) {
+    const factory = FACTORIES[config.AI_PROVIDER];
+    if (!factory) {
+      throw new Error(`Unknown AI_PROVIDER "${config.AI_PROVIDER}". Expected one of: ${Object.keys(FACTORIES).join(', ')}`);
+    }
+    const backend = factory();
+    const record = config.AI_RECORD && config.AI_PROVIDER !== 'replay';
+    provider = withQueue(record ? withRecording(backend, config.FIXTURES_DIR) : backend);
+  }
+  return provider;
+}
+
+// The model actually sent to the backend for a request that asked for `requested`.
+function resolveModel(requested) {
+  if (config.AI_MODEL) return config.AI_MODEL;
+  if (config.AI_PROVIDER === 'anthropic') return requested;
+  return DEFAULT_MODELS[config.AI_PROVIDER];
+}
+
+module.exports = { getProvider, resolveModel, PROVIDERS: Object.keys(FACTORIES) };
@@ -0,0 +1,39 @@
+/**
+ * Helpers shared by the provider adapters for translating the Open Margins
+ * { messages, system } contract into other chat APIs.
+ */
+
+// Message content may be a string or an array of Claude content blocks.
+function textOf(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.filter(b => b?.type === 'text').map(b => b.text).join('\n\n');
+}
+
+// [{ role, content }] with the system prompt (if any) as the first message.
+function toChatMessages({ system, messages }) {
+  const chat = messages.map(m => ({ role: m.role, content: textOf(m.content) }));
+  return system ? [{ role: 'system', content: system }, ...chat] : chat;
+}
+
+// Shape a finished reply like a Claude Messages API response, which is what
+// every front end already reads (body.content[0].text).
+function toClaudeResponse({ text, model, usage, stop_reason }) {
+  return {
+    type: 'message',
+    role: 'assistant',
+    model,
+    content: [{ type: 'text', text }],
+    stop_reason,
+    usage,
+  };
+}
+
+// OpenAI- and Ollama-style finish reasons → Claude stop_reason values.
+function toStopReason(reason) {
+  if (reason === 'length') return 'max_tokens';
+  if (reason === 'stop' || reason === 'eos') return 'end_turn';
+  return reason || 'end_turn';
+}
+
+module.exports = { textOf, toChatMessages, toClaudeResponse, toStopReason };
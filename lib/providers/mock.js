@@ -0,0 +1,61 @@
+/**
+ * Mock provider — deterministic, offline replies for workshops and tests.
+ *
+ * The same request always produces the same reply: a short acknowledgement
+ * that quotes the start of the last user message and carries a hash of the
+ * whole request. A request whose reply is checked against a schema gets the
+ * smallest reply that fits it instead (lib/schemas.js), so the tools that
+ * read JSON work offline too. No network access and no API key are needed.
+ * Set MOCK_DELAY_MS to slow streaming down for UI work (default 0).
+ */
+
+const crypto = require('crypto');
+const { textOf, toClaudeResponse } = require('./messages');
+const { sample } = require('../schemas');
+
+function createMockProvider({ delayMs = 0 } = {}) {
+  function reply({ model, system, messages, tags }) {
+    const hash = crypto.createHash('sha256')
+      .update(JSON.stringify({ model, system, messages }))
+      .digest('hex')
+      .slice(0, 8);
+    const last = textOf(messages[messages.length - 1]?.content).replace(/\s+/g, ' ').trim();
+    const quote = last.length > 80 ? last.slice(0, 80) + '…' : last;
+    const text = tags?.schema
+      ? JSON.stringify(sample(tags.schema, tags.variables), null, 2)
+      : `Mock response ${hash}. You asked: "${quote}"`;
+    const usage = {
+      input_tokens: countTokens(system) + messages.reduce((n, m) => n + countTokens(textOf(m.content)), 0),
+      output_tokens: countTokens(text),
+    };
+    return { text, usage };
+  }
+
+  return {
+    name: 'mock',
+    label: 'mock provider',
+
+    async generate(params) {
+      const { text, usage } = reply(params);
+      return toClaudeResponse({ text, model: params.model, usage, stop_reason: 'end_turn' });
+    },
+
+    async stream(params) {
+      const { text, usage } = reply(params);
+      return (async function* () {
+        for (const word of text.match(/\S+\s*/g)) {
+          if (delayMs) await new Promise(r => setTimeout(r, delayMs));
+          yield { type: 'delta', text: word };
+        }
+        yield { type: 'done', usage, stop_reason: 'end_turn' };
+      })();
+    },
+  };
+}
+
+// Rough token estimate: about four characters per token.
+function countTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,90 @@
+/**
+ * Ollama provider — a locally hosted model via Ollama's /api/chat.
+ *
+ * AI_BASE_URL defaults to http://localhost:11434. Ollama streams
+ * newline-delimited JSON rather than Server-Sent Events.
+ */
+
+const { HttpError } = require('../errors');
+const { toChatMessages, toClaudeResponse, toStopReason } = require('./messages');
+
+function createOllamaProvider({ baseUrl }) {
+  baseUrl = (baseUrl || 'http://localhost:11434').replace(/\/$/, '');
+
+  async function post({ model, max_tokens, system, messages, signal }, stream) {
+    const r = await fetch(`${baseUrl}/api/chat`, {
+      method: 'POST',
+      signal,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model,
+        messages: toChatMessages({ system, messages }),
+        stream,
+        options: { num_predict: max_tokens },
+      }),
+    });
+    if (!r.ok) {
+      const body = await r.json().catch(() => ({}));
+      console.error('Ollama error:', r.status, JSON.stringify(body));
+      throw new HttpError(r.status, body?.error || `Ollama returned HTTP ${r.status}`);
+    }
+    return r;
+  }
+
+  return {
+    name: 'ollama',
+    label: 'Ollama',
+
+    async generate(params) {
+      const r = await post(params, false);
+      const body = await r.json();
+      return toClaudeResponse({
+        text: body.message?.content || '',
+        model: body.model || params.model,
+        stop_reason: toStopReason(body.done_reason),
+        usage: {
+          input_tokens: body.prompt_eval_count || 0,
+          output_tokens: body.eval_count || 0,
+        },
+      });
+    },
+
+    async stream(params) {
+      const r = await post(params, true);
+      return events(r.body);
+    },
+  };
+}
+
+async function* events(body) {
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  let stop_reason = null;
+
+  for await (const data of readJsonLines(body)) {
+    if (data.error) throw new Error(data.error);
+    if (data.message?.content) yield { type: 'delta', text: data.message.content };
+    if (data.done) {
+      stop_reason = toStopReason(data.done_reason);
+      usage.input_tokens = data.prompt_eval_count || 0;
+      usage.output_tokens = data.eval_count || 0;
+    }
+  }
+  yield { type: 'done', usage, stop_reason };
+}
+
+async function* readJsonLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let nl;
+    while ((nl = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, nl).trim();
+      buffer = buffer.slice(nl + 1);
+      if (line) yield JSON.parse(line);
+    }
+  }
+  if (buffer.trim()) yield JSON.parse(buffer);
+}
+
+module.exports = { createOllamaProvider };
@@ -0,0 +1,85 @@
+/**
+ * OpenAI-compatible provider — any server exposing /chat/completions
+ * (OpenAI, vLLM, llama.cpp server, LM Studio, LocalAI, …).
+ *
+ * AI_BASE_URL should include the API version prefix, e.g.
+ * http://localhost:8000/v1. AI_API_KEY is optional for local servers.
+ */
+
+const { HttpError } = require('../errors');
+const { readEventStream } = require('../sse');
+const { toChatMessages, toClaudeResponse, toStopReason } = require('./messages');
+
+function createOpenAIProvider({ apiKey, baseUrl }) {
+  baseUrl = (baseUrl || 'https://api.openai.com/v1').replace(/\/$/, '');
+
+  async function post({ model, max_tokens, system, messages, signal }, stream) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+    const r = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      signal,
+      headers,
+      body: JSON.stringify({
+        model,
+        max_tokens,
+        messages: toChatMessages({ system, messages }),
+        stream,
+        ...(stream ? { stream_options: { include_usage: true } } : {}),
+      }),
+    });
+    if (!r.ok) {
+      const body = await r.json().catch(() => ({}));
+      console.error('OpenAI-compatible API error:', r.status, JSON.stringify(body));
+      throw new HttpError(r.status, body?.error?.message || `Model server returned HTTP ${r.status}`, {
+        retryAfter: r.headers.get('retry-after'),
+      });
+    }
+    return r;
+  }
+
+  return {
+    name: 'openai',
+    label: 'OpenAI-compatible model server',
+
+    async generate(params) {
+      const r = await post(params, false);
+      const body = await r.json();
+      const choice = body.choices?.[0] || {};
+      return toClaudeResponse({
+        text: choice.message?.content || '',
+        model: body.model || params.model,
+        stop_reason: toStopReason(choice.finish_reason),
+        usage: {
+          input_tokens: body.usage?.prompt_tokens || 0,
+          output_tokens: body.usage?.completion_tokens || 0,
+        },
+      });
+    },
+
+    async stream(params) {
+      const r = await post(params, true);
+      return events(r.body);
+    },
+  };
+}
+
+async function* events(body) {
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  let stop_reason = null;
+
+  for await (const { data } of readEventStream(body)) {
+    if (data === '[DONE]') break;
+    if (data.error) throw new Error(data.error.message || 'Model server stream error');
+    const choice = data.choices?.[0];
+    if (choice?.delta?.content) yield { type: 'delta', text: choice.delta.content };
+    if (choice?.finish_reason) stop_reason = toStopReason(choice.finish_reason);
+    if (data.usage) {
+      usage.input_tokens = data.usage.prompt_tokens || 0;
+      usage.output_tokens = data.usage.completion_tokens || 0;
+    }
+  }
+  yield { type: 'done', usage, stop_reason };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,65 @@
+/**
+ * Replay provider — answers from recorded fixtures, with no network access
+ * and no API key (see lib/fixtures.js for how a fixture is chosen).
+ *
+ * Fixtures are read from FIXTURES_DIR once, on the first request; restart the
+ * server after adding some. A request no fixture answers fails with 404.
+ * Set REPLAY_DELAY_MS to pace streaming like a live model (default 0).
+ */
+
+const { HttpError } = require('../errors');
+const { textOf, toClaudeResponse } = require('./messages');
+const { loadFixtures, findFixture, fixtureText } = require('../fixtures');
+
+function createReplayProvider({ dir, delayMs = 0 }) {
+  let loading = null;
+
+  async function reply(params) {
+    if (!loading) {
+      loading = loadFixtures(dir).then(fixtures => {
+        console.log(`[${new Date().toISOString()}] Replaying ${fixtures.length} fixture${fixtures.length === 1 ? '' : 's'} from ${dir}`);
+        return fixtures;
+      });
+    }
+    const fixture = findFixture(await loading, params);
+    if (!fixture) {
+      const { tool, activity, template } = params.tags || {};
+      const what = [tool, activity, template].filter(Boolean).join(' / ') || 'this request';
+      throw new HttpError(404, `No recorded reply for ${what}. Record one with AI_RECORD=on, or add a fixture to ${dir}.`);
+    }
+    const text = fixtureText(fixture);
+    const usage = fixture.usage || {
+      input_tokens: countTokens(params.system) + params.messages.reduce((n, m) => n + countTokens(textOf(m.content)), 0),
+      output_tokens: countTokens(text),
+    };
+    return { text, usage, stop_reason: fixture.stop_reason || 'end_turn' };
+  }
+
+  return {
+    name: 'replay',
+    label: 'replay provider',
+
+    async generate(params) {
+      const { text, usage, stop_reason } = await reply(params);
+      return toClaudeResponse({ text, model: params.model, usage, stop_reason });
+    },
+
+    async stream(params) {
+      const { text, usage, stop_reason } = await reply(params);
+      return (async function* () {
+        for (const word of text.match(/\S+\s*/g) || []) {
+          if (delayMs) await new Promise(r => setTimeout(r, delayMs));
+          yield { type: 'delta', text: word };
+        }
+        yield { type: 'done', usage, stop_reason };
+      })();
+    },
+  };
+}
+
+// Rough token estimate: about four characters per token.
+function countTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+module.exports = { createReplayProvider };
@@ -0,0 +1,171 @@
+/**
+ * Open Margins — Model request queue
+ *
+ * Thirty students pressing Generate at once should wait their turn, not get
+ * thirty errors. Every provider call goes through here (lib/providers/index.js):
+ *
+ *   - at most AI_CONCURRENCY requests run at once; the rest wait in order
+ *   - more than AI_QUEUE_MAX waiting → 503 straight away
+ *   - 429, 500, 502, 503 and 529 answers are retried up to AI_RETRIES times,
+ *     after the backend's Retry-After, or else after 1 s, 2 s, 4 s … (with
+ *     jitter, at most 60 s); the request keeps its place while it waits
+ *   - each attempt is abandoned after AI_TIMEOUT_SECONDS (504); for a stream
+ *     that covers the whole stream
+ *
+ *   withQueue(provider)  → the same provider, queued
+ *   queueStatus(ticket)  → { state: 'queued', ahead } | { state: 'retrying', attempt, retryIn }
+ *                          | { state: 'running' } | null
+ *
+ * A ticket is any string the caller chose and sent as params.ticket, so a
+ * page that is still waiting can ask where its request is.
+ */
+
+const config = require('./config');
+const { HttpError } = require('./errors');
+
+const RETRYABLE = new Set([429, 500, 502, 503, 529]);
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60000;
+
+const waiting = [];        // jobs waiting for a slot, oldest first
+let running = 0;
+const tickets = new Map(); // ticket → its most recent job
+
+// ── Slots ─────────────────────────────────────────────────────────────────────
+function abortError() {
+  return new DOMException('The request was aborted.', 'AbortError');
+}
+
+function acquire(job, signal) {
+  if (signal?.aborted) return Promise.reject(abortError());
+  if (running < config.AI_CONCURRENCY && !waiting.length) {
+    running++;
+    return Promise.resolve();
+  }
+  if (waiting.length >= config.AI_QUEUE_MAX) {
+    return Promise.reject(new HttpError(503, 'The server is handling too many requests. Try again in a minute.'));
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      waiting.splice(waiting.indexOf(job), 1);
+      reject(abortError());
+    };
+    job.start = () => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    waiting.push(job);
+  });
+}
+
+// The slot passes straight to the next job in line, if there is one
+function release() {
+  const next = waiting.shift();
+  if (next) next.start();
+  else running--;
+}
+
+// ── Retries ───────────────────────────────────────────────────────────────────
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(ms) ? Math.max(0, ms) : null;
+}
+
+function backoff(err, attempt) {
+  const asked = retryAfterMs(err.retryAfter);
+  const delay = asked ?? BASE_DELAY_MS * 2 ** attempt * (0.75 + Math.random() / 2);
+  return Math.min(MAX_DELAY_MS, Math.round(delay));
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function timedOut(label) {
+  return new HttpError(504, `${label} did not answer within ${config.AI_TIMEOUT_SECONDS} seconds. Try again.`);
+}
+
+// ── Queued calls ──────────────────────────────────────────────────────────────
+// Runs call(params) in a slot, retrying what is worth retrying. A stream keeps
+// its slot (and its time limit) until the caller has read it to the end.
+async function queued(provider, params, call, { streaming = false } = {}) {
+  const job = { state: 'queued' };
+  if (params.ticket) tickets.set(params.ticket, job);
+  const finish = () => {
+    release();
+    if (tickets.get(params.ticket) === job) tickets.delete(params.ticket);
+  };
+
+  await acquire(job, params.signal).catch(err => {
+    if (tickets.get(params.ticket) === job) tickets.delete(params.ticket);
+    throw err;
+  });
+  let handedOver = false;
+  try {
+    for (let attempt = 0; ; attempt++) {
+      job.state = 'running';
+      const timeout = AbortSignal.timeout(config.AI_TIMEOUT_SECONDS * 1000);
+      const signal = params.signal ? AbortSignal.any([params.signal, timeout]) : timeout;
+      try {
+        const result = await call({ ...params, signal });
+        if (!streaming) return result;
+        handedOver = true;
+        return releasing(result, timeout, provider.label, finish);
+      } catch (err) {
+        if (timeout.aborted && !params.signal?.aborted) throw timedOut(provider.label);
+        if (!RETRYABLE.has(err.status) || attempt >= config.AI_RETRIES) throw err;
+        const wait = backoff(err, attempt);
+        console.log(`[${new Date().toISOString()}] ${provider.label} answered ${err.status}; retrying in ${(wait / 1000).toFixed(1)} s (${attempt + 1} of ${config.AI_RETRIES})`);
+        Object.assign(job, { state: 'retrying', attempt: attempt + 1, retryAt: Date.now() + wait });
+        await sleep(wait, params.signal);
+      }
+    }
+  } finally {
+    if (!handedOver) finish();
+  }
+}
+
+async function* releasing(events, timeout, label, finish) {
+  try {
+    yield* events;
+  } catch (err) {
+    throw timeout.aborted ? timedOut(label) : err;
+  } finally {
+    finish();
+  }
+}
+
+function withQueue(provider) {
+  return {
+    ...provider,
+    generate: params => queued(provider, params, p => provider.generate(p)),
+    stream: params => queued(provider, params, p => provider.stream(p), { streaming: true }),
+  };
+}
+
+function queueStatus(ticket) {
+  const job = tickets.get(ticket);
+  if (!job) return null;
+  if (job.state === 'queued') return { state: 'queued', ahead: waiting.indexOf(job) };
+  if (job.state === 'retrying') {
+    return { state: 'retrying', attempt: job.attempt, retryIn: Math.max(0, Math.ceil((job.retryAt - Date.now()) / 1000)) };
+  }
+  return { state: 'running' };
+}
+
+module.exports = { withQueue, queueStatus };
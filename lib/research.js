@@ -0,0 +1,182 @@
+/**
+ * Open Margins — Research logging (opt-in)
+ *
+ * For scholarship-of-teaching-and-learning studies of how students use the
+ * tools. Off unless RESEARCH_LOGGING=on, and even then a browser sends
+ * events only after its student has agreed in the consent notice each tool
+ * shows. Events go to DATA_DIR/research.jsonl, one line each:
+ *
+ *   { ts, participant, course, tool, activity, event, mode, passage_chars,
+ *     follow_ups, turns, seconds, completed }
+ *
+ * Nothing a student reads or writes is stored: only which tool, activity and
+ * mode they used, how long a selected passage was, how many follow-ups or
+ * dialogue turns they had, and how long an activity took. participant is a
+ * keyed hash of a random id the browser made up, so exports cannot be
+ * matched to a device; course comes from the class access code, if any.
+ * An activity's "end" event carries its time on task (seconds) and, where
+ * the tool can tell, whether the student finished it (completed).
+ *
+ *   recordEvent(fields, { participant, course })  → the stored event
+ *   exportEvents(filters)                          → events, oldest first
+ *   summarize(events)                              → counts by tool · activity · event
+ *   purgeEvents(filters)                           → how many were removed
+ *   withdraw(participant)                          → a student's events removed
+ *
+ * filters: { from, to } as YYYY-MM-DD (inclusive, local time), course, tool.
+ * Events older than RESEARCH_RETENTION_DAYS (default 365) are deleted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR, RESEARCH_LOGGING, RESEARCH_RETENTION_DAYS } = require('./config');
+const { HttpError } = require('./errors');
+const { writeFileAtomicSync } = require('./store');
+const { localDay } = require('./util');
+
+const EVENTS_FILE = path.join(DATA_DIR, 'research.jsonl');
+const SALT_FILE = path.join(DATA_DIR, 'research-salt');
+const PRUNE_EVERY_MS = 60 * 60 * 1000;
+
+const TOOLS = new Set(['companion', 'nova', 'rhizo']);
+const EVENTS = new Set(['start', 'annotate', 'follow-up', 'turn', 'respond', 'end']);
+const NAME_RE = /^[\w-]{1,40}$/;
+const COUNTS = { passage_chars: 1e6, follow_ups: 1000, turns: 1000, seconds: 7 * 24 * 60 * 60 };
+
+// ── Anonymous participants ────────────────────────────────────────────────────
+let salt = null;
+
+// A random key kept beside the log, made on first use. Deleting it unlinks
+// every stored participant from the ids browsers still hold.
+function participantKey() {
+  if (salt) return salt;
+  try {
+    salt = fs.readFileSync(SALT_FILE, 'utf8').trim();
+  } catch {
+    salt = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(SALT_FILE, salt, { mode: 0o600 });
+  }
+  return salt;
+}
+
+function anonymize(id) {
+  if (typeof id !== 'string' || !/^[\w-]{8,64}$/.test(id)) throw new HttpError(400, 'participant must be the random id the page made (8–64 letters, digits, - or _).');
+  return crypto.createHmac('sha256', participantKey()).update(id).digest('hex').slice(0, 16);
+}
+
+// ── Store ─────────────────────────────────────────────────────────────────────
+function readEvents() {
+  let raw;
+  try { raw = fs.readFileSync(EVENTS_FILE, 'utf8'); }
+  catch { return []; }
+  return raw.split('\n').filter(Boolean).flatMap(line => {
+    try { return [JSON.parse(line)]; }
+    catch { return []; } // skip a line torn by a crash mid-write
+  });
+}
+
+function writeEvents(events) {
+  writeFileAtomicSync(EVENTS_FILE, events.map(e => JSON.stringify(e) + '\n').join(''));
+}
+
+// Keeps what matches keep(event); returns how many were removed
+function rewrite(keep) {
+  const events = readEvents();
+  const kept = events.filter(keep);
+  if (kept.length !== events.length) writeEvents(kept);
+  return events.length - kept.length;
+}
+
+// ── Retention ─────────────────────────────────────────────────────────────────
+let lastPrune = 0;
+
+function pruneExpired() {
+  if (!RESEARCH_RETENTION_DAYS || Date.now() - lastPrune < PRUNE_EVERY_MS) return;
+  lastPrune = Date.now();
+  const cutoff = new Date(Date.now() - RESEARCH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const removed = rewrite(e => e.ts >= cutoff);
+  if (removed) console.log(`[${new Date().toISOString()}] Research log — removed ${removed} event${removed === 1 ? '' : 's'} older than ${RESEARCH_RETENTION_DAYS} days`);
+}
+
+// ── Events ────────────────────────────────────────────────────────────────────
+function requireEnabled() {
+  if (!RESEARCH_LOGGING) throw new HttpError(404, 'Research logging is off on this server.');
+}
+
+// Only the whitelisted fields are kept, so no free text can reach the log
+function recordEvent(fields, { participant, course }) {
+  requireEnabled();
+  const { tool, activity, event, mode } = fields;
+  if (!TOOLS.has(tool)) throw new HttpError(400, `tool must be one of: ${[...TOOLS].join(', ')}.`);
+  if (!EVENTS.has(event)) throw new HttpError(400, `event must be one of: ${[...EVENTS].join(', ')}.`);
+  for (const [key, value] of Object.entries({ activity, mode })) {
+    if (value !== undefined && !(typeof value === 'string' && NAME_RE.test(value))) throw new HttpError(400, `${key} must be a short name (letters, digits, - or _).`);
+  }
+
+  const entry = {
+    ts: new Date().toISOString(),
+    participant: anonymize(participant),
+    course: course || '',
+    tool,
+    activity: activity || '',
+    event,
+    mode: mode || '',
+  };
+  for (const [key, max] of Object.entries(COUNTS)) {
+    const n = fields[key];
+    if (n === undefined) continue;
+    if (!Number.isInteger(n) || n < 0 || n > max) throw new HttpError(400, `${key} must be a whole number from 0 to ${max}.`);
+    entry[key] = n;
+  }
+  if (fields.completed !== undefined) entry.completed = fields.completed === true;
+
+  pruneExpired();
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.appendFileSync(EVENTS_FILE, JSON.stringify(entry) + '\n');
+  return entry;
+}
+
+function matches(e, { from, to, course, tool } = {}) {
+  const day = localDay(new Date(e.ts));
+  if (from && day < from) return false;
+  if (to && day > to) return false;
+  if (course && e.course !== course) return false;
+  if (tool && e.tool !== tool) return false;
+  return true;
+}
+
+function exportEvents(filters) {
+  pruneExpired();
+  return readEvents().filter(e => matches(e, filters));
+}
+
+function summarize(events) {
+  const rows = new Map();
+  for (const e of events) {
+    const key = `${e.tool} · ${e.activity || '—'} · ${e.event}`;
+    const row = rows.get(key) || { key, events: 0, participants: new Set() };
+    row.events++;
+    row.participants.add(e.participant);
+    rows.set(key, row);
+  }
+  return [...rows.values()]
+    .map(r => ({ key: r.key, events: r.events, participants: r.participants.size }))
+    .sort((a, b) => a.key.localeCompare(b.key));
+}
+
+function purgeEvents(filters) {
+  return rewrite(e => !matches(e, filters));
+}
+
+function withdraw(participant) {
+  const hashed = anonymize(participant);
+  return rewrite(e => e.participant !== hashed);
+}
+
+function researchStatus() {
+  return { enabled: RESEARCH_LOGGING, retentionDays: RESEARCH_RETENTION_DAYS || null };
+}
+
+module.exports = { recordEvent, exportEvents, summarize, purgeEvents, withdraw, researchStatus, requireEnabled };
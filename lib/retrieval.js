@@ -0,0 +1,116 @@
+/**
+ * Open Margins — Passage retrieval over a reader's sources
+ *
+ * A small in-process BM25 index, so a prompt about one passage can carry the
+ * parts of the source tray that relate to it — another chapter, a pasted
+ * article — rather than only the text around the selection. Everything runs
+ * on this server; no search service is involved.
+ *
+ *   indexFor(sources)                 → index (memoised by content)
+ *   search(index, query, { k, skip }) → [{ n, source, section, text, score }]
+ *   formatPassages(hits)              → numbered, labelled text for a prompt
+ *
+ * sources is [{ label, text }]. Passages are sections of about 1,200
+ * characters cut on headings and paragraphs (lib/chunking.js), each knowing
+ * its source and the heading it sits under. skip drops passages containing
+ * that text, e.g. the selection itself, which the prompt already quotes.
+ */
+
+const { chunkText } = require('./chunking');
+const { hashKey } = require('./cache');
+
+const PASSAGE_CHARS = 1200;
+const K1 = 1.2;   // BM25 term-frequency saturation
+const B = 0.75;   // BM25 length normalisation
+const MEMO_SIZE = 20;
+
+const STOPWORDS = new Set(`a about above after again against all am an and any are as at be because been
+before being below between both but by can could did do does doing down during each few for from further
+had has have having he her here hers herself him himself his how i if in into is it its itself just me
+more most my myself no nor not now of off on once only or other our ours ourselves out over own same she
+should so some such than that the their theirs them themselves then there these they this those through
+to too under until up very was we were what when where which while who whom why will with would you your
+yours yourself yourselves also may might must shall one two however thus`.split(/\s+/));
+
+// ── Terms ─────────────────────────────────────────────────────────────────────
+// Light suffix stripping, so "cells" finds "cell" and "regulated" finds "regulate"
+function stem(word) {
+  if (word.length <= 4) return word;
+  return word
+    .replace(/(?:ies)$/, 'y')
+    .replace(/(?:ing|edly|ed|ly)$/, '')
+    .replace(/(?:es|s)$/, '');
+}
+
+function terms(text) {
+  return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(w => w.length > 1 && !STOPWORDS.has(w))
+    .map(stem);
+}
+
+// ── Index ─────────────────────────────────────────────────────────────────────
+function buildIndex(sources) {
+  const passages = [];
+  for (const { label, text } of sources) {
+    for (const chunk of chunkText(String(text || ''), { maxChars: PASSAGE_CHARS })) {
+      const counts = new Map();
+      const words = terms(chunk.text);
+      for (const t of words) counts.set(t, (counts.get(t) || 0) + 1);
+      passages.push({ source: String(label || 'Source'), section: chunk.heading, text: chunk.text, counts, length: words.length });
+    }
+  }
+  const df = new Map();
+  for (const p of passages) for (const t of p.counts.keys()) df.set(t, (df.get(t) || 0) + 1);
+  const avgLength = passages.reduce((n, p) => n + p.length, 0) / (passages.length || 1);
+  return { passages, df, avgLength };
+}
+
+const memo = new Map(); // hash of sources → index, most recent last
+
+function indexFor(sources) {
+  const key = hashKey(sources.map(s => [s.label, s.text]));
+  let index = memo.get(key);
+  if (index) memo.delete(key);
+  else index = buildIndex(sources);
+  memo.set(key, index);
+  if (memo.size > MEMO_SIZE) memo.delete(memo.keys().next().value);
+  return index;
+}
+
+// ── Search ────────────────────────────────────────────────────────────────────
+function normalise(text) {
+  return String(text).replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function search(index, query, { k = 5, skip = '' } = {}) {
+  const { passages, df, avgLength } = index;
+  const N = passages.length;
+  const queryTerms = [...new Set(terms(query))];
+  const skipText = normalise(skip).slice(0, 200);
+
+  const scored = passages.map(p => {
+    let score = 0;
+    for (const t of queryTerms) {
+      const tf = p.counts.get(t);
+      if (!tf) continue;
+      const idf = Math.log(1 + (N - df.get(t) + 0.5) / (df.get(t) + 0.5));
+      score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * p.length / (avgLength || 1)));
+    }
+    return { p, score };
+  });
+
+  return scored
+    .filter(({ p, score }) => score > 0 && !(skipText && normalise(p.text).includes(skipText)))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k)
+    .map(({ p, score }, i) => ({ n: i + 1, source: p.source, section: p.section, text: p.text, score: Math.round(score * 100) / 100 }));
+}
+
+function formatPassages(hits) {
+  return hits.map(h => [
+    `[${h.n}] ${h.source}${h.section && h.section !== h.source ? ` — ${h.section}` : ''}`,
+    h.text,
+  ].join('\n')).join('\n\n');
+}
+
+module.exports = { indexFor, search, formatPassages };
@@ -0,0 +1,55 @@
+/**
+ * /api/admin/codes — manage class access codes (see lib/access.js)
+ *
+ *   GET    /api/admin/codes          → every code, newest first
+ *   POST   /api/admin/codes          → create { course, label?, expires?, quota?, perMinute?, code? }
+ *   PATCH  /api/admin/codes/:code    → change { label, expires, quota, perMinute, disabled, resetUsage }
+ *   DELETE /api/admin/codes/:code    → remove a code
+ *
+ * All routes need admin access (ADMIN_TOKEN, or a request from this machine).
+ * The page at /admin/codes uses these routes.
+ */
+
+const express = require('express');
+const { requireAdmin, listCodes, createCode, updateCode, deleteCode } = require('../access');
+const { errorSender } = require('../util');
+
+const router = express.Router();
+
+router.use('/admin', requireAdmin);
+
+const sendError = errorSender('Access code');
+
+router.get('/admin/codes', (req, res) => {
+  res.json({ codes: listCodes() });
+});
+
+router.post('/admin/codes', (req, res) => {
+  try {
+    const record = createCode(req.body || {});
+    console.log(`[${new Date().toISOString()}] Access code created — ${record.code} (${record.course})`);
+    res.status(201).json(record);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.patch('/admin/codes/:code', (req, res) => {
+  try {
+    res.json(updateCode(req.params.code, req.body || {}));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.delete('/admin/codes/:code', (req, res) => {
+  try {
+    deleteCode(req.params.code);
+    console.log(`[${new Date().toISOString()}] Access code deleted — ${req.params.code}`);
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+/**
+ * /api/groups, /api/annotations — shared Companion annotations (see lib/annotations.js)
+ *
+ *   POST   /api/groups                           { name } → 201 { group, joinCode, instructorKey }
+ *   GET    /api/groups/current                   → { group, role } for the X-Group-Key header
+ *
+ *   GET    /api/annotations?document=...         → { annotations } the reader may see
+ *   POST   /api/annotations                      → 201 annotation
+ *          { document, mode, excerpt, charOffset?, prefix?, suffix?, response?, passages?, visibility?, name? }
+ *   PATCH  /api/annotations/:id                  { response?, passages?, visibility?, name? } → annotation
+ *   DELETE /api/annotations/:id                  → 204
+ *   POST   /api/annotations/:id/replies          { text, name? } → 201 annotation
+ *   DELETE /api/annotations/:id/replies/:reply   → annotation
+ *
+ * Every /api/annotations request names its group with X-Group-Key (a join
+ * code or an instructor key) and its reader with X-Annotator (a random id
+ * the browser keeps). With REQUIRE_ACCESS_CODE set, starting a group needs a
+ * working class access code, and the group takes that code's course.
+ */
+
+const express = require('express');
+const { REQUIRE_ACCESS_CODE } = require('../config');
+const { courseForCode } = require('../access');
+const {
+  createGroup, memberOf,
+  listAnnotations, createAnnotation, updateAnnotation, deleteAnnotation,
+  addReply, deleteReply,
+} = require('../annotations');
+const { errorSender } = require('../util');
+
+const router = express.Router();
+
+const sendError = errorSender('Shared annotation');
+
+// Runs handler(member, req, res), answering with the error if it throws
+function asMember(handler) {
+  return (req, res) => {
+    try {
+      handler(memberOf(req.get('X-Group-Key'), req.get('X-Annotator')), req, res);
+    } catch (err) {
+      sendError(res, err);
+    }
+  };
+}
+
+// ── Groups ────────────────────────────────────────────────────────────────────
+router.post('/groups', (req, res) => {
+  const code = req.get('X-Access-Code');
+  const course = code ? courseForCode(code) : null;
+  if (REQUIRE_ACCESS_CODE && !course) {
+    return res.status(401).json({ error: 'Starting a class group needs a class access code.', code: 'access_code_required' });
+  }
+  try {
+    const created = createGroup({ name: req.body?.name, course });
+    console.log(`[${new Date().toISOString()}] Class group started — "${created.group.name}"${course ? ` (${course})` : ''}`);
+    res.status(201).json(created);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.get('/groups/current', (req, res) => {
+  try {
+    // Any well-formed id will do: this only checks the key
+    const { group, role } = memberOf(req.get('X-Group-Key'), req.get('X-Annotator') || 'checking-key');
+    res.json({ group, role });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// ── Annotations ───────────────────────────────────────────────────────────────
+router.get('/annotations', asMember((member, req, res) => {
+  res.json({ annotations: listAnnotations(member, req.query.document) });
+}));
+
+router.post('/annotations', asMember((member, req, res) => {
+  res.status(201).json(createAnnotation(member, req.body || {}));
+}));
+
+router.patch('/annotations/:id', asMember((member, req, res) => {
+  res.json(updateAnnotation(member, req.params.id, req.body || {}));
+}));
+
+router.delete('/annotations/:id', asMember((member, req, res) => {
+  deleteAnnotation(member, req.params.id);
+  res.status(204).end();
+}));
+
+router.post('/annotations/:id/replies', asMember((member, req, res) => {
+  res.status(201).json(addReply(member, req.params.id, req.body || {}));
+}));
+
+router.delete('/annotations/:id/replies/:reply', asMember((member, req, res) => {
+  res.json(deleteReply(member, req.params.id, req.params.reply));
+}));
+
+module.exports = router;
@@ -0,0 +1,40 @@
+/**
+ * /api/extract — extract text from an uploaded document (see lib/extract.js)
+ *
+ *   POST /api/extract?filename=lecture-3.pptx   body: the file's bytes
+ *
+ * The file is the raw request body (see lib/upload.js). Returns
+ * { title, fileType, text, wordCount, pageCount?, slideCount? }; text marks
+ * where each page or slide starts ([Page 3], [Slide 12]). Add format=blocks
+ * to also get the typed blocks, each with its page, slide or section.
+ */
+
+const express = require('express');
+const { extractDocument } = require('../extract');
+const { blocksToText, countWords } = require('../html');
+const { acceptUpload, uploadName } = require('../upload');
+
+const router = express.Router();
+
+router.post('/extract', acceptUpload, async (req, res) => {
+  const filename = uploadName(req);
+  const started = Date.now();
+  try {
+    const doc = await extractDocument(req.body, {
+      filename,
+      contentType: req.get('Content-Type'),
+    });
+    const text = blocksToText(doc.blocks);
+    const { blocks, ...meta } = doc;
+    const result = { ...meta, text, wordCount: countWords(text) };
+    if (req.query.format === 'blocks') result.blocks = blocks;
+    console.log(`[${new Date().toISOString()}] Extracted "${doc.title}" (${doc.fileType}) — ${result.wordCount} words in ${Date.now() - started} ms`);
+    res.json(result);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Error extracting document:', err.message);
+    res.status(500).json({ error: `Could not extract text from ${filename || 'this file'}: ${err.message}` });
+  }
+});
+
+module.exports = router;
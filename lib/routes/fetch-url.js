@@ -0,0 +1,98 @@
+/**
+ * /api/fetch-url — fetch and extract text from an arbitrary URL
+ *
+ *   GET  /api/fetch-url?url=...   (Nova, Rhizo, Sylva, Activity Builder)
+ *   POST /api/fetch-url { url }   (Companion)
+ *
+ * Returns { title, url, byline, published, license, siteName, text,
+ * wordCount }. text is the page's main article without menus, footers or
+ * cookie banners (lib/article.js); url is the address after redirects;
+ * license is { name, url } when the page declares one (e.g. a Creative
+ * Commons rel="license" link). Add format=blocks (query or body) to also get
+ * the article's structure as typed blocks (see lib/html.js).
+ *
+ * Fetches go through lib/safe-fetch.js: private and reserved addresses are
+ * refused on every redirect hop, and pages over 5 MB are cut off with a 413.
+ */
+
+const express = require('express');
+const { safeFetch } = require('../safe-fetch');
+const { extractArticle } = require('../article');
+const { htmlToPlainText, htmlToBlocks, blocksToText, textToBlocks, countWords } = require('../html');
+
+const router = express.Router();
+
+const FETCH_URL_TIMEOUT_MS = 12000;
+const FETCH_URL_MAX_BYTES = 5 * 1024 * 1024;
+const FETCH_URL_TYPES = ['text/html', 'text/plain', 'application/xhtml'];
+
+// The page's main article, falling back to the whole page when no article
+// element stands out (or it is too short to be the real thing)
+function readPage(html, url) {
+  const article = extractArticle(html, { url });
+  let blocks = article.blocks;
+  let text = blocksToText(blocks);
+  if (text.length < 200) {
+    const whole = htmlToPlainText(html);
+    if (whole.length > text.length * 2) {
+      blocks = htmlToBlocks(html, { baseUrl: url });
+      text = blocksToText(blocks) || whole;
+    }
+  }
+  return { ...article, blocks, text };
+}
+
+async function handleFetchUrl(req, res) {
+  const { url, format } = req.method === 'POST' ? (req.body || {}) : req.query;
+  if (!url) return res.status(400).json({ error: 'url query parameter is required.' });
+
+  console.log(`[${new Date().toISOString()}] Fetching URL: ${url}`);
+
+  try {
+    const page = await safeFetch(url, {
+      timeout: FETCH_URL_TIMEOUT_MS,
+      maxBytes: FETCH_URL_MAX_BYTES,
+      allowTypes: FETCH_URL_TYPES,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; OpenMarginsBot/1.0; +https://openpress.tru.ca)',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      },
+    });
+    if (page.status >= 400) throw new Error(`Remote server returned HTTP ${page.status}`);
+
+    const body = page.text();
+    const hostname = new URL(page.url).hostname;
+    const found = page.contentType.includes('text/plain')
+      ? { blocks: textToBlocks(body), text: body.replace(/\r\n?/g, '\n').replace(/\n{3,}/g, '\n\n').trim() }
+      : readPage(body, page.url);
+    const { text, blocks } = found;
+
+    if (text.length < 20) {
+      return res.status(422).json({ error: 'No readable text found at that URL.' });
+    }
+
+    const result = {
+      title: found.title || hostname,
+      url: page.url,
+      byline: found.byline || null,
+      published: found.published || null,
+      license: found.license || null,
+      siteName: found.siteName || null,
+      text,
+      wordCount: countWords(text),
+    };
+    console.log(`[${new Date().toISOString()}] Fetched "${result.title}" — ${result.wordCount} words${result.license ? ` (${result.license.name})` : ''}`);
+    if (format === 'blocks') result.blocks = blocks;
+    res.json(result);
+
+  } catch (err) {
+    if (err.status && err.status !== 502) return res.status(err.status).json({ error: err.message });
+    console.error('Error fetching URL:', err.message);
+    res.status(502).json({ error: `Could not fetch URL: ${err.message}` });
+  }
+}
+
+router.get('/fetch-url', handleFetchUrl);
+router.post('/fetch-url', handleFetchUrl);
+
+module.exports = router;
@@ -0,0 +1,539 @@
+/**
+ * POST /api/generate — AI generation proxy
+ *
+ * Forwards to the configured model provider (Claude by default; see
+ * lib/providers/index.js) and always answers in Claude's response shape.
+ *
+ * Accepts a server-side prompt template { template, variables } (see
+ * lib/prompts.js), legacy { prompt }, or modern { messages, system, model,
+ * max_tokens }. Template and legacy callers may also pass model and max_tokens.
+ * Template replies carry the version that produced them, e.g.
+ * "template": "sylva.lesson-arc@1", which is also written to the usage log.
+ *
+ * Add { stream: true } to either format to receive the output as Server-Sent
+ * Events (see lib/sse.js) instead of one JSON body.
+ *
+ * Replies are cached on disk, keyed by a hash of provider, model, max_tokens,
+ * system prompt and messages, so a class generating the same concept map for
+ * the same chapter costs one API call. Identical requests that arrive while
+ * the first is still generating wait for it rather than calling again.
+ * Add { fresh: true } to skip the cache and generate a new reply.
+ *
+ * Optional { tool, activity, course } tag the request in the usage log
+ * (lib/usage.js); requests are refused once a token budget is spent.
+ *
+ * Requests to the model wait their turn in a queue and are retried when the
+ * backend is overloaded (lib/queue.js). Send { ticket: 'any-unique-string' }
+ * and poll GET /api/generate/queue/<ticket> to learn where the request is:
+ * { state: 'queued', ahead: 4 }, { state: 'retrying', attempt, retryIn },
+ * { state: 'running' }, or { state: 'unknown' } before and after.
+ *
+ * With REQUIRE_ACCESS_CODE set, requests need a class access code in an
+ * X-Access-Code header (lib/access.js); the code's course replaces any
+ * course in the body.
+ *
+ * Long readings: add { chunking } to a template or legacy request, with the
+ * reading in variables (legacy prompts mark where it goes with {{content}}):
+ *
+ *   chunking: { variable: 'content', merge: 'notes' | 'list', task, count }
+ *   chunking: { variable: 'context', near: 'excerpt' }
+ *
+ * Readings up to 30,000 characters go in one request as usual. Longer ones
+ * are split into sections on their headings, pages and paragraphs
+ * (lib/chunking.js) and worked through section by section:
+ *
+ *   notes — each section is condensed to notes (shared.section-notes, told
+ *           the task), then the request runs once over the notes on every
+ *           section. For outputs that must be designed whole: concept maps,
+ *           objectives, scenarios.
+ *   list  — the template runs on each section, asking each for its share of
+ *           the count variable (count, default "count"), and the JSON arrays
+ *           are merged in reading order without duplicates. For question
+ *           banks, flashcards and the like.
+ *
+ * near picks the section around a passage (variables[near]) instead, for
+ * prompts that need local context rather than the whole reading. The reply
+ * has the usual shape plus "sections"; streaming requests get progress
+ * events while the sections are read, then the output.
+ *
+ * Related passages: add { retrieval } to a template request to search the
+ * reader's sources (BM25, lib/retrieval.js) and put the best passages in a
+ * variable, numbered and labelled with their source and section:
+ *
+ *   retrieval: { sources: [{ label, text }], query: ['excerpt'], variable: 'passages', k: 5, skip: 'excerpt' }
+ *
+ * query names the variables whose text is searched for; skip names one whose
+ * text is left out of the results (the selection the prompt already quotes).
+ * The reply (or the stream's done event) lists what each number refers to:
+ * "passages": [{ n, source, section }].
+ *
+ * Checked JSON: replies that should be JSON are checked against a schema
+ * (lib/schemas.js) — the template's own, when it has one, or the one named
+ * by { schema: 'nova.conceptmap' }. A reply that fails is sent back to the
+ * model once with the problems found (shared.repair-json); if the correction
+ * fails too, the request fails with 502 and the problems. Checked replies
+ * carry "schema" and, when corrected, "repaired": true; their text is the
+ * JSON alone. Streaming requests get a progress event { stage: 'repair',
+ * errors } and then a replace event with the corrected text before done.
+ */
+
+const express = require('express');
+const { openEventStream } = require('../sse');
+const { getProvider, resolveModel } = require('../providers');
+const { toClaudeResponse } = require('../providers/messages');
+const { createCache, hashKey, wantsFresh } = require('../cache');
+const { recordUsage, checkBudget } = require('../usage');
+const { requireAccessCode, countGeneration } = require('../access');
+const { renderTemplate, resolveTemplate } = require('../prompts');
+const { HttpError } = require('../errors');
+const { mapWithConcurrency } = require('../concurrency');
+const { indexFor, search, formatPassages } = require('../retrieval');
+const { hasSchema, checkReply, validItems } = require('../schemas');
+const { queueStatus } = require('../queue');
+const {
+  CHUNK_CHARS, SINGLE_PASS_CHARS,
+  chunkText, passageContext, notesDigest, allocate, parseList, mergeLists,
+} = require('../chunking');
+
+const router = express.Router();
+
+const DEFAULT_MODEL    = 'claude-opus-4-5';
+const MAX_PROMPT_CHARS = 50000;
+const MAX_SECTIONS       = 40; // longest reading taken in sections (~480,000 characters)
+const SECTION_CONCURRENCY = 3; // section requests in flight at once
+const MAX_NOTE_ROUNDS    = 3;  // notes on notes, for readings whose notes are still too long
+const MAX_PASSAGES       = 10; // most related passages one prompt can ask for
+
+const GENERATION_CACHE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const generations = createCache('generations', { ttl: GENERATION_CACHE_TTL });
+const inflight = new Map(); // cache key → Promise of the reply body (null if it failed)
+
+// ── GET /api/generate — friendly error for accidental browser visits ───────────
+router.get('/generate', (req, res) => {
+  res.status(405).json({ error: 'This endpoint only accepts POST requests.' });
+});
+
+// ── GET /api/generate/queue/:ticket — where a waiting request is ───────────────
+router.get('/generate/queue/:ticket', (req, res) => {
+  res.set('Cache-Control', 'no-store').json(queueStatus(req.params.ticket) || { state: 'unknown' });
+});
+
+router.post('/generate', requireAccessCode, async (req, res) => {
+  let messages, system, model, max_tokens, template = null;
+  const course = req.accessCode?.course || req.body.course;
+  let passages = null, schema = null;
+
+  try {
+    schema = outputSchema(req.body);
+    if (req.body.retrieval && typeof req.body.retrieval === 'object') passages = applyRetrieval(req.body);
+    if (req.body.chunking && typeof req.body.chunking === 'object') {
+      const plan = planChunking(req.body, course);
+      if (plan) return generateLong(req, res, plan, course, { passages, schema });
+    }
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+
+  if (typeof req.body.template === 'string') {
+    // Server-side template (every tool)
+    let rendered;
+    try {
+      rendered = renderTemplate(req.body.template, req.body.variables || {}, course);
+    } catch (err) {
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+    if (rendered.system.length + rendered.user.length > MAX_PROMPT_CHARS) {
+      return res.status(400).json({ error: 'Prompt exceeds maximum length. Shorten your OER content.' });
+    }
+    messages   = [{ role: 'user', content: rendered.user }];
+    system     = rendered.system;
+    model      = req.body.model      || DEFAULT_MODEL;
+    max_tokens = req.body.max_tokens || rendered.maxTokens || 4096;
+    template   = rendered.ref;
+  } else if (req.body.prompt && typeof req.body.prompt === 'string') {
+    // Legacy format (older copies of the pages; the Activity Builder's connection test)
+    const prompt = req.body.prompt;
+    if (prompt.length > MAX_PROMPT_CHARS) {
+      return res.status(400).json({ error: 'Prompt exceeds maximum length. Shorten your OER content.' });
+    }
+    messages   = [{ role: 'user', content: prompt }];
+    system     = '';
+    model      = req.body.model      || DEFAULT_MODEL;
+    max_tokens = req.body.max_tokens || 4096;
+  } else {
+    // Modern format (Sylva)
+    ({ messages, system, model, max_tokens } = req.body);
+    if (!messages || !Array.isArray(messages) || messages.length === 0) {
+      return res.status(400).json({ error: 'Request body must contain a messages array or a prompt string.' });
+    }
+    model      = model      || DEFAULT_MODEL;
+    max_tokens = max_tokens || 2048;
+    system     = system     || '';
+  }
+
+  const stream = req.body.stream === true;
+  const provider = getProvider();
+  model = resolveModel(model);
+  console.log(`[${new Date().toISOString()}] AI request — ${provider.name}, model: ${model}${template ? `, template: ${template}` : ''}${stream ? ' (streaming)' : ''}`);
+
+  // Stop generating (and paying for) output nobody will read
+  const controller = new AbortController();
+  res.on('close', () => { if (!res.writableFinished) controller.abort(); });
+
+  const variables = req.body.variables || {};
+  const params = {
+    model, max_tokens, system, messages, signal: controller.signal,
+    ticket: ticketOf(req.body), tags: tagsOf(req.body, template, schema),
+  };
+  const { tool, activity } = req.body;
+  const meter = { tool, activity, course, template, provider: provider.name, model };
+  const extra = { ...(template && { template }), ...(passages && { passages }), ...(schema && { schema }) };
+
+  // ── Cache lookup ────────────────────────────────────────────────────────────
+  const cacheKey = hashKey({ provider: provider.name, model, max_tokens, system, messages });
+  if (!wantsFresh(req)) {
+    let cached = await (inflight.get(cacheKey) || generations.get(cacheKey));
+    // Another identical request may have started while we read the disk
+    if (!cached && inflight.has(cacheKey)) cached = await inflight.get(cacheKey);
+    // Replies cached before their schema existed are generated again
+    if (cached && schema && checkReply(schema, cached.content?.[0]?.text, variables).errors.length) cached = null;
+    if (cached) {
+      console.log(`[${new Date().toISOString()}] Serving generation from cache`);
+      recordUsage({ ...meter, cached: true });
+      return sendCached(cached, stream, res, extra);
+    }
+  }
+
+  let settle;
+  const pending = new Promise(resolve => { settle = resolve; });
+  inflight.set(cacheKey, pending);
+  let body = null, sse = null;
+
+  try {
+    checkBudget();
+    countGeneration(req);
+    if (stream) {
+      const events = await provider.stream(params);
+      res.set('X-Cache', 'MISS');
+      sse = openEventStream(res);
+      body = await pipeStream(events, sse, model);
+    } else {
+      body = await provider.generate(params);
+      console.log(`[${new Date().toISOString()}] ${provider.label} responded (${body?.usage?.output_tokens ?? '?'} tokens)`);
+    }
+    if (body) recordUsage({ ...meter, usage: body.usage });
+    if (body && schema) {
+      const checked = await conform(body, { schema, variables, provider, params, meter, course, sse });
+      body = checked.body;
+      if (checked.repaired) {
+        extra.repaired = true;
+        sse?.send('replace', { text: body.content[0].text });
+      }
+    }
+    if (sse) {
+      if (body) sse.send('done', { usage: body.usage, stop_reason: body.stop_reason, ...extra });
+      sse.close();
+    } else {
+      res.set('X-Cache', 'MISS').json({ ...body, ...extra });
+    }
+    if (body?.content?.[0]?.text) await generations.set(cacheKey, body);
+  } catch (err) {
+    body = null;
+    if (err.name === 'AbortError') return sse?.close(); // client went away
+    if (!err.status) console.error(`Network error reaching ${provider.label}:`, err.message);
+    const message = err.status ? err.message : `Could not reach ${provider.label}: ${err.message}`;
+    if (!sse) return res.status(err.status || 502).json({ error: message });
+    sse.send('error', { error: message });
+    sse.close();
+  } finally {
+    if (inflight.get(cacheKey) === pending) inflight.delete(cacheKey);
+    settle(body);
+  }
+});
+
+// A short caller-chosen id for following the request in the queue
+function ticketOf(body) {
+  return typeof body.ticket === 'string' && /^[\w-]{6,64}$/.test(body.ticket) ? body.ticket : undefined;
+}
+
+// What a request is for, so its reply can be recorded and found again (lib/fixtures.js)
+function tagsOf({ tool, activity, variables }, ref, schema) {
+  return {
+    tool: typeof tool === 'string' ? tool : null,
+    activity: typeof activity === 'string' ? activity : null,
+    template: ref ? ref.split('@')[0] : null,
+    schema: schema || null,
+    variables: variables || {},
+  };
+}
+
+// ── Checking JSON output ──────────────────────────────────────────────────────
+// The schema a request's reply is checked against, or null.
+function outputSchema(body) {
+  if (body.schema !== undefined) {
+    if (typeof body.schema !== 'string' || !hasSchema(body.schema)) throw new HttpError(400, `No output schema "${body.schema}".`);
+    return body.schema;
+  }
+  return typeof body.template === 'string' && hasSchema(body.template) ? body.template : null;
+}
+
+// Checks a reply against its schema. One that fails goes back to the model
+// with the problems found, once; the corrected reply is checked again and
+// the request fails if it still does not fit. Resolves to { body, repaired }
+// with the reply's text replaced by the JSON alone.
+async function conform(body, { schema, variables, provider, params, meter, course, sse }) {
+  const text = body.content?.[0]?.text || '';
+  let { data, errors } = checkReply(schema, text, variables);
+  let repaired = false;
+
+  if (errors.length) {
+    console.log(`[${new Date().toISOString()}] Reply does not fit ${schema} (${errors.length} problem${errors.length > 1 ? 's' : ''}); asking for a correction`);
+    sse?.send('progress', { stage: 'repair', errors });
+    const rendered = renderTemplate('shared.repair-json', { errors: errors.map(e => `- ${e}`).join('\n') }, course);
+    checkBudget();
+    const fixed = await provider.generate({
+      ...params,
+      tags: { ...params.tags, template: 'shared.repair-json' },
+      messages: [...params.messages, { role: 'assistant', content: text || '(empty)' }, { role: 'user', content: rendered.user }],
+    });
+    recordUsage({ ...meter, template: rendered.ref, usage: fixed.usage });
+    ({ data, errors } = checkReply(schema, fixed.content?.[0]?.text, variables));
+    if (errors.length) {
+      throw new HttpError(502, `The reply did not have the expected structure, even after asking for a correction: ${errors.slice(0, 3).join('; ')}${errors.length > 3 ? ` (and ${errors.length - 3} more)` : ''}. Try again.`);
+    }
+    body = {
+      ...fixed,
+      usage: {
+        input_tokens: (body.usage?.input_tokens || 0) + (fixed.usage?.input_tokens || 0),
+        output_tokens: (body.usage?.output_tokens || 0) + (fixed.usage?.output_tokens || 0),
+      },
+    };
+    repaired = true;
+  }
+  return { body: { ...body, content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] }, repaired };
+}
+
+// ── Related passages ──────────────────────────────────────────────────────────
+// Fills the retrieval variable in body.variables and returns what each
+// passage number refers to.
+function applyRetrieval(body) {
+  const { sources, query = ['excerpt'], variable = 'passages', k = 5, skip } = body.retrieval;
+  if (!Array.isArray(sources) || sources.some(s => !s || typeof s.text !== 'string')) {
+    throw new HttpError(400, 'retrieval.sources must be an array of { label, text }.');
+  }
+  const variables = { ...(body.variables || {}) };
+  const queryText = [query].flat().map(name => variables[name] || '').join('\n');
+  const hits = search(indexFor(sources), queryText, {
+    k: Math.min(MAX_PASSAGES, Math.max(1, parseInt(k, 10) || 5)),
+    skip: skip ? variables[skip] : '',
+  });
+  variables[variable] = formatPassages(hits);
+  body.variables = variables;
+  return hits.map(({ n, source, section }) => ({ n, source, section }));
+}
+
+// ── Long readings ─────────────────────────────────────────────────────────────
+// Passage context and readings short enough for one request are folded back
+// into the body as an ordinary request (returns null); a long reading
+// returns the plan generateLong works from.
+function planChunking(body, course) {
+  const { variable = 'content', near, merge = 'notes', task, count = 'count' } = body.chunking;
+  const isTemplate = typeof body.template === 'string';
+  if (!isTemplate && typeof body.prompt !== 'string') {
+    throw new HttpError(400, 'chunking needs a template or a prompt.');
+  }
+  if (merge !== 'notes' && merge !== 'list') throw new HttpError(400, 'chunking.merge must be "notes" or "list".');
+  if (merge === 'list' && !isTemplate) throw new HttpError(400, 'chunking.merge "list" needs a template.');
+
+  const variables = { ...(body.variables || {}) };
+  const content = String(variables[variable] ?? '');
+  if (near) variables[variable] = passageContext(content, variables[near]);
+  const render = (text, extra = {}) => isTemplate
+    ? renderTemplate(body.template, { ...variables, ...extra, [variable]: text }, course)
+    : { system: '', user: body.prompt.split(`{{${variable}}}`).join(text), maxTokens: null, ref: null };
+
+  if (near || content.length <= SINGLE_PASS_CHARS) {
+    if (isTemplate) body.variables = variables;
+    else body.prompt = render(variables[variable]).user;
+    return null;
+  }
+  return {
+    content,
+    render,
+    merge,
+    count: Math.max(1, parseInt(variables[count], 10) || 10),
+    countVariable: count,
+    task: task || (isTemplate && resolveTemplate(body.template, course).description) || 'an activity based on this reading',
+  };
+}
+
+// One non-streaming request with the generation cache in front of it;
+// onMiss runs before the model is asked
+async function generateCached(provider, params, meter, fresh, onMiss) {
+  const { model, max_tokens, system, messages } = params;
+  const cacheKey = hashKey({ provider: provider.name, model, max_tokens, system, messages });
+  if (!fresh) {
+    const cached = await generations.get(cacheKey);
+    if (cached) {
+      recordUsage({ ...meter, cached: true });
+      return cached;
+    }
+  }
+  checkBudget();
+  onMiss?.();
+  const body = await provider.generate(params);
+  recordUsage({ ...meter, usage: body.usage });
+  if (body?.content?.[0]?.text) await generations.set(cacheKey, body);
+  return body;
+}
+
+async function generateLong(req, res, plan, course, { passages, schema }) {
+  const chunks = chunkText(plan.content);
+  if (chunks.length > MAX_SECTIONS) {
+    return res.status(413).json({ error: `This reading is too long: ${chunks.length} sections of up to ${CHUNK_CHARS.toLocaleString()} characters, and the limit is ${MAX_SECTIONS}. Choose fewer chapters.` });
+  }
+
+  const stream = req.body.stream === true;
+  const fresh = wantsFresh(req);
+  const provider = getProvider();
+  const model = resolveModel(req.body.model || DEFAULT_MODEL);
+  const { tool, activity } = req.body;
+  console.log(`[${new Date().toISOString()}] AI request — ${provider.name}, model: ${model}, long reading in ${chunks.length} sections (${plan.merge})${req.body.template ? `, template: ${req.body.template}` : ''}`);
+
+  const controller = new AbortController();
+  res.on('close', () => { if (!res.writableFinished) controller.abort(); });
+  const sse = stream ? openEventStream(res) : null;
+  const usage = { input_tokens: 0, output_tokens: 0 };
+
+  // Section requests reuse the cache even when the caller asked for a fresh
+  // reply; only the step that produces the output honours fresh.
+  const paramsFor = (rendered, final) => ({
+    model,
+    max_tokens: req.body.max_tokens || rendered.maxTokens || 4096,
+    system: rendered.system,
+    messages: [{ role: 'user', content: rendered.user }],
+    signal: controller.signal,
+    ticket: ticketOf(req.body),
+    tags: tagsOf(req.body, rendered.ref, final && schema),
+  });
+  const meterFor = rendered => ({ tool, activity, course, template: rendered.ref, provider: provider.name, model });
+  const run = async (rendered, { final = false } = {}) => {
+    const body = await generateCached(provider, paramsFor(rendered, final), meterFor(rendered), final && fresh, () => countGeneration(req));
+    usage.input_tokens += body.usage?.input_tokens || 0;
+    usage.output_tokens += body.usage?.output_tokens || 0;
+    return body;
+  };
+
+  try {
+    let text, stop_reason = 'end_turn', ref, repaired = false;
+    if (plan.merge === 'list') {
+      const wanted = allocate(chunks, plan.count);
+      let done = 0;
+      const lists = await mapWithConcurrency(chunks, SECTION_CONCURRENCY, async (chunk, i) => {
+        if (!wanted[i]) return [];
+        // One spare per section, in case two sections produce the same item
+        const rendered = plan.render(chunk.text, { [plan.countVariable]: wanted[i] + 1 });
+        ref = rendered.ref;
+        const body = await run(rendered, { final: true });
+        sse?.send('progress', { stage: 'sections', done: ++done, total: wanted.filter(Boolean).length });
+        const list = parseList(body.content?.[0]?.text) || [];
+        // Items that do not fit the schema are dropped rather than repaired
+        return schema ? validItems(schema, list, req.body.variables || {}) : list;
+      });
+      const merged = mergeLists(lists, wanted, plan.count);
+      if (!merged.length) throw new HttpError(502, 'No section of the reading produced usable items. Try again.');
+      text = JSON.stringify(merged, null, 2);
+    } else {
+      let pieces = chunks, digest;
+      for (let round = 1; ; round++) {
+        let done = 0;
+        const notes = await mapWithConcurrency(pieces, SECTION_CONCURRENCY, async (chunk, i) => {
+          const body = await run(renderTemplate('shared.section-notes', {
+            task: plan.task, section: chunk.heading, part: i + 1, parts: pieces.length, content: chunk.text,
+          }, course));
+          sse?.send('progress', { stage: 'notes', round, done: ++done, total: pieces.length });
+          return body.content?.[0]?.text || '';
+        });
+        digest = notesDigest(pieces, notes);
+        if (digest.length <= SINGLE_PASS_CHARS || round === MAX_NOTE_ROUNDS) break;
+        pieces = chunkText(digest);
+      }
+      const rendered = plan.render(digest);
+      ref = rendered.ref;
+      let body = await run(rendered, { final: true });
+      if (schema) {
+        const checked = await conform(body, {
+          schema, variables: req.body.variables || {}, provider, params: paramsFor(rendered, true), meter: meterFor(rendered), course, sse,
+        });
+        if (checked.repaired) {
+          // The corrected reply's usage includes the first attempt's, already counted
+          usage.input_tokens += checked.body.usage.input_tokens - (body.usage?.input_tokens || 0);
+          usage.output_tokens += checked.body.usage.output_tokens - (body.usage?.output_tokens || 0);
+        }
+        ({ body, repaired } = checked);
+      }
+      text = body.content?.[0]?.text || '';
+      stop_reason = body.stop_reason || stop_reason;
+    }
+
+    console.log(`[${new Date().toISOString()}] Long reading done (${chunks.length} sections, ${usage.output_tokens} output tokens)`);
+    const extra = {
+      sections: chunks.length,
+      ...(ref && { template: ref }), ...(passages && { passages }), ...(schema && { schema }), ...(repaired && { repaired }),
+    };
+    if (sse) {
+      sse.send('delta', { text });
+      sse.send('done', { usage, stop_reason, ...extra });
+      sse.close();
+    } else {
+      res.set('X-Cache', 'MISS').json({ ...toClaudeResponse({ text, model, usage, stop_reason }), ...extra });
+    }
+  } catch (err) {
+    if (err.name === 'AbortError') return sse?.close(); // client went away
+    console.error('Long reading failed:', err.message);
+    const status = err.status || 502;
+    const message = err.status ? err.message : `Could not reach ${provider.label}: ${err.message}`;
+    if (!sse) return res.status(status).json({ error: message });
+    sse.send('error', { error: message });
+    sse.close();
+  }
+}
+
+// ── Cached reply → JSON, or a one-chunk SSE stream ────────────────────────────
+function sendCached(body, stream, res, extra) {
+  if (!stream) return res.set('X-Cache', 'HIT').json({ ...body, ...extra });
+  res.set('X-Cache', 'HIT');
+  const sse = openEventStream(res);
+  sse.send('delta', { text: body.content[0].text });
+  sse.send('done', { usage: body.usage, stop_reason: body.stop_reason, cached: true, ...extra });
+  sse.close();
+}
+
+// ── Streaming: provider events → Open Margins SSE ─────────────────────────────
+// Re-emits only what the front ends need: the text deltas. Resolves to the
+// complete reply in Claude's response shape, for the caller to finish with
+// done, or null if the stream failed (after sending error) or the client went away.
+async function pipeStream(events, sse, model) {
+  let text = '';
+
+  try {
+    for await (const ev of events) {
+      if (ev.type === 'delta') {
+        text += ev.text;
+        sse.send('delta', { text: ev.text });
+      } else if (ev.type === 'done') {
+        console.log(`[${new Date().toISOString()}] Stream finished (${ev.usage?.output_tokens ?? '?'} tokens)`);
+        return toClaudeResponse({ text, model, usage: ev.usage, stop_reason: ev.stop_reason });
+      }
+    }
+    return null;
+  } catch (err) {
+    if (err.name !== 'AbortError') {
+      console.error('Stream error:', err.message);
+      sse.send('error', { error: err.message });
+    }
+    return null;
+  }
+}
+
+module.exports = router;
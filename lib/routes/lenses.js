@@ -0,0 +1,87 @@
+/**
+ * /api/lenses — instructor-defined Companion lenses (see lib/lenses.js)
+ *
+ *   GET    /api/lenses                           → { lenses } for the course of the X-Access-Code header
+ *                                                  (or ?course=), without their templates
+ *
+ * Admin (ADMIN_TOKEN, or a request from this machine):
+ *   GET    /api/admin/lenses                     → { lenses } every lens, with its template
+ *   POST   /api/admin/lenses                     { course, name, icon, color, description, template } → 201 lens
+ *   PUT    /api/admin/lenses/:id?course=...      { name, icon, color, description, template } → lens
+ *   DELETE /api/admin/lenses/:id?course=...      → 204
+ *   GET    /api/admin/lenses/pack?course=...     → a lens pack file of the lenses that course sees
+ *   POST   /api/admin/lenses/pack?course=...     a lens pack → { lenses } added or updated
+ *
+ * course "" (or omitted) means every course. Companion asks the model with
+ * a lens through /api/generate as template "lens.<id>". The page at
+ * /admin/lenses uses the admin routes.
+ */
+
+const express = require('express');
+const { requireAdmin, courseForCode } = require('../access');
+const { listLenses, allLenses, saveLens, removeLens, exportPack, importPack } = require('../lenses');
+const { errorSender } = require('../util');
+
+const router = express.Router();
+
+const sendError = errorSender('Lens');
+
+router.get('/lenses', (req, res) => {
+  const code = req.get('X-Access-Code');
+  const course = (code && courseForCode(code)) || String(req.query.course || '');
+  res.json({ lenses: listLenses(course) });
+});
+
+// ── For instructors ───────────────────────────────────────────────────────────
+router.get('/admin/lenses', requireAdmin, (req, res) => {
+  res.json({ lenses: allLenses() });
+});
+
+router.get('/admin/lenses/pack', requireAdmin, (req, res) => {
+  const course = String(req.query.course || '');
+  const slug = course ? course.toLowerCase().replace(/[^a-z0-9]+/g, '-') : 'all-courses';
+  res.set('Content-Disposition', `attachment; filename="lenses-${slug}.json"`).json(exportPack(course));
+});
+
+router.post('/admin/lenses/pack', requireAdmin, (req, res) => {
+  try {
+    const lenses = importPack(req.body, req.query.course || '');
+    console.log(`[${new Date().toISOString()}] Lens pack imported — ${lenses.length} lens${lenses.length === 1 ? '' : 'es'} for ${req.query.course || 'all courses'}`);
+    res.json({ lenses });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.post('/admin/lenses', requireAdmin, (req, res) => {
+  try {
+    const { id, ...fields } = req.body || {};
+    const lens = saveLens(fields);
+    console.log(`[${new Date().toISOString()}] Lens added — ${lens.id} for ${lens.course || 'all courses'}`);
+    res.status(201).json(lens);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.put('/admin/lenses/:id', requireAdmin, (req, res) => {
+  try {
+    const lens = saveLens({ ...req.body, id: req.params.id, course: req.query.course || '' });
+    console.log(`[${new Date().toISOString()}] Lens saved — ${lens.id} for ${lens.course || 'all courses'} (v${lens.version})`);
+    res.json(lens);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.delete('/admin/lenses/:id', requireAdmin, (req, res) => {
+  try {
+    removeLens(req.params.id, req.query.course || '');
+    console.log(`[${new Date().toISOString()}] Lens removed — ${req.params.id} for ${req.query.course || 'all courses'}`);
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,31 @@
+/**
+ * /api/packages — import a course package (see lib/packages.js)
+ *
+ *   POST /api/packages?filename=biol1110.imscc   body: the file's bytes
+ *
+ * Takes an IMS Common Cartridge (.imscc) or Moodle backup (.mbz) as the raw
+ * request body (see lib/upload.js) and returns
+ * { id, bookUrl, title, kind, partCount, chapterCount, wordCount, skipped }.
+ * Pass bookUrl to /api/toc, /api/chapter and /api/book to browse it.
+ */
+
+const express = require('express');
+const { importPackage } = require('../packages');
+const { acceptUpload, uploadName } = require('../upload');
+
+const router = express.Router();
+
+router.post('/packages', acceptUpload, async (req, res) => {
+  const filename = uploadName(req);
+  try {
+    const pkg = await importPackage(req.body, filename);
+    console.log(`[${new Date().toISOString()}] Imported ${pkg.kind} package "${pkg.title}" — ${pkg.chapterCount} chapters, ${pkg.skipped.length} skipped`);
+    res.status(201).json(pkg);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Error importing course package:', err.message);
+    res.status(500).json({ error: `Could not import ${filename || 'this package'}: ${err.message}` });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,369 @@
+/**
+ * Pressbooks proxy routes (works around CORS restrictions)
+ *
+ *   GET /api/networks                           → Trusted Pressbooks networks (first = default)
+ *   GET /api/books?network=...                  → All books on one network
+ *   GET /api/toc?bookUrl=...                    → Table of contents for a book
+ *   GET /api/chapter?bookUrl=...&chapterId=...  → Plain text of a chapter (&format=blocks adds typed blocks)
+ *   GET /api/book?bookUrl=...[&partId=...]      → Every chapter of a book or part (?stream=1 for progress)
+ *
+ * Responses are cached on disk (lib/cache.js). TOC and chapter entries are
+ * keyed by the book URL and its lastUpdated date from the catalogue, so an
+ * edited book is fetched again. Add ?fresh=1 to bypass the cache.
+ *
+ * bookUrl may also be an imported course package (package:<id>, from
+ * POST /api/packages); its contents are read from disk, not Pressbooks.
+ */
+
+const express = require('express');
+const { listNetworks, getNetwork, isJunkBook, parseBook, checkBookUrl, BOOKS_NETWORK_ID } = require('../pressbooks');
+const { htmlToPlainText, htmlToBlocks, stripHtml, countWords } = require('../html');
+const { createCache, wantsFresh } = require('../cache');
+const { openEventStream } = require('../sse');
+const { mapWithConcurrency } = require('../concurrency');
+const { isPackageUrl, packageToc, packageChapter } = require('../packages');
+
+const router = express.Router();
+
+// ── Pressbooks cache (avoids 5-second catalogue fetch on every reload) ────────
+const BOOKS_CACHE_TTL   = 10 * 60 * 1000;      // 10 minutes
+const CONTENT_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours — keyed by lastUpdated
+const UNVERSIONED_TTL   = 60 * 60 * 1000;      // 1 hour — book not in the catalogue
+const cache = createCache('pressbooks', { ttl: BOOKS_CACHE_TTL });
+
+// ── /api/book limits ──────────────────────────────────────────────────────────
+const BOOK_CONCURRENCY  = 4;   // chapters fetched from Pressbooks at once
+const MAX_BOOK_CHAPTERS = 300;
+
+// ── Book versions ─────────────────────────────────────────────────────────────
+// The book's lastUpdated date from the most recent catalogue fetch, or ''
+async function bookVersion(bookUrl) {
+  const versions = await cache.get('versions');
+  return versions?.[bookUrl.replace(/\/$/, '')] || '';
+}
+
+// ── Book URLs ─────────────────────────────────────────────────────────────────
+// A trusted Pressbooks book, or an imported course package (package:<id>,
+// see lib/packages.js) read from disk in its place.
+function checkSourceUrl(bookUrl) {
+  return isPackageUrl(bookUrl) ? null : checkBookUrl(bookUrl);
+}
+
+// ── Trusted networks (for the book browser's network switcher) ────────────────
+router.get('/networks', (req, res) => {
+  res.json(listNetworks());
+});
+
+// ── List all books on a network ───────────────────────────────────────────────
+// Fetches page 1 to get total count, then fetches all remaining pages in
+// parallel. Returns the complete list sorted alphabetically by title.
+// Query params:
+//   network — a network id from /api/networks (default: the first)
+//   all=1   — skip the network's junk filter and return every book
+router.get('/books', async (req, res) => {
+  const showAll = req.query.all === '1';
+  let network;
+  try {
+    network = getNetwork(req.query.network);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+  const cacheKey = `books:${network.id}:${showAll ? 'all' : 'filtered'}`;
+
+  const cached = !wantsFresh(req) && await cache.get(cacheKey);
+  if (cached) {
+    console.log(`[${new Date().toISOString()}] Serving ${cached.length} books from cache`);
+    return res.set('X-Cache', 'HIT').json(cached);
+  }
+
+  console.log(`[${new Date().toISOString()}] Fetching book list from ${network.url || 'trusted books'}${showAll ? ' (unfiltered)' : ''}`);
+
+  try {
+    const rawBooks = network.id === BOOKS_NETWORK_ID
+      ? await fetchSingleBooks(network.books)
+      : await fetchCatalogue(network.url);
+
+    const allBooks = rawBooks
+      .filter(b => showAll || !isJunkBook(b, network))
+      .map(parseBook);
+
+    // Sort alphabetically by title
+    allBooks.sort((a, b) => a.title.localeCompare(b.title));
+
+    // Cache the list, and every book's lastUpdated for the TOC/chapter keys
+    const versions = Object.fromEntries(rawBooks.map(parseBook).map(b => [b.link, b.lastUpdated]));
+    await cache.set(cacheKey, allBooks);
+    await cache.set('versions', { ...await cache.get('versions'), ...versions }, CONTENT_CACHE_TTL);
+
+    console.log(`[${new Date().toISOString()}] Returned ${allBooks.length} books from ${network.id}`);
+    res.set('X-Cache', 'MISS').json(allBooks);
+
+  } catch (err) {
+    console.error('Error fetching books:', err.message);
+    res.status(502).json({ error: `Could not fetch book list: ${err.message}` });
+  }
+});
+
+// Every raw book object in a network's catalogue
+async function fetchCatalogue(networkUrl) {
+  // ── Step 1: fetch page 1 to learn total page count ──────────────────────
+  const page1url = `${networkUrl}/wp-json/pressbooks/v2/books?per_page=10&page=1`;
+  const r1 = await fetch(page1url, { headers: { 'Accept': 'application/json' } });
+  if (!r1.ok) throw new Error(`Pressbooks returned HTTP ${r1.status} on page 1`);
+
+  const totalPages = parseInt(r1.headers.get('X-WP-TotalPages') || '1', 10);
+  const page1books = await r1.json();
+
+  // ── Step 2: fetch all remaining pages in parallel ───────────────────────
+  const remainingFetches = [];
+  for (let p = 2; p <= totalPages; p++) {
+    const url = `${networkUrl}/wp-json/pressbooks/v2/books?per_page=10&page=${p}`;
+    remainingFetches.push(
+      fetch(url, { headers: { 'Accept': 'application/json' } })
+        .then(r => {
+          if (!r.ok) throw new Error(`Pressbooks returned HTTP ${r.status} on page ${p}`);
+          return r.json();
+        })
+    );
+  }
+  const remainingResults = await Promise.all(remainingFetches);
+
+  // ── Step 3: flatten all pages ───────────────────────────────────────────
+  console.log(`[${new Date().toISOString()}] ${totalPages} catalogue pages fetched in parallel`);
+  return [page1books, ...remainingResults].flat();
+}
+
+// Single trusted books, shaped like catalogue entries. A book that cannot be
+// reached is left out rather than failing the whole list.
+async function fetchSingleBooks(bookUrls) {
+  const results = await Promise.all(bookUrls.map(async link => {
+    try {
+      const r = await fetch(`${link}/wp-json/pressbooks/v2/metadata`, { headers: { 'Accept': 'application/json' } });
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      return { id: null, link, metadata: await r.json() };
+    } catch (err) {
+      console.error(`Could not fetch book metadata for ${link}:`, err.message);
+      return null;
+    }
+  }));
+  return results.filter(Boolean);
+}
+
+// ── Table of contents for a book ──────────────────────────────────────────────
+// Query param: bookUrl — the book's base URL, e.g. https://humanbiology.pressbooks.tru.ca
+// Returns a simplified TOC: array of parts, each with array of chapters.
+router.get('/toc', async (req, res) => {
+  const { bookUrl } = req.query;
+
+  if (!bookUrl) {
+    return res.status(400).json({ error: 'bookUrl query parameter is required.' });
+  }
+
+  const urlError = checkSourceUrl(bookUrl);
+  if (urlError) return res.status(400).json({ error: urlError });
+
+  try {
+    const { value, hit } = await getToc(bookUrl, wantsFresh(req));
+    res.set('X-Cache', hit ? 'HIT' : 'MISS').json(value);
+  } catch (err) {
+    console.error('Error fetching TOC:', err.message);
+    res.status(err.status || 502).json({ error: `Could not fetch table of contents: ${err.message}` });
+  }
+});
+
+// ── Fetch a single chapter's text ─────────────────────────────────────────────
+// Query params:
+//   bookUrl   — book base URL
+//   chapterId — numeric chapter ID
+//   format    — optional; "blocks" adds the chapter's structure (see lib/html.js)
+// Returns: { title, link, wordCount, text } where text is plain text (HTML stripped),
+// plus blocks: [{ type, … }] with format=blocks
+router.get('/chapter', async (req, res) => {
+  const { bookUrl, chapterId, format } = req.query;
+
+  if (!bookUrl || !chapterId) {
+    return res.status(400).json({ error: 'bookUrl and chapterId query parameters are required.' });
+  }
+
+  const urlError = checkSourceUrl(bookUrl);
+  if (urlError) return res.status(400).json({ error: urlError });
+
+  try {
+    const { value, hit } = await getChapter(bookUrl, chapterId, wantsFresh(req));
+    const { blocks, ...chapter } = value;
+    res.set('X-Cache', hit ? 'HIT' : 'MISS').json(format === 'blocks' ? value : chapter);
+  } catch (err) {
+    console.error('Error fetching chapter:', err.message);
+    res.status(err.status || 502).json({ error: `Could not fetch chapter: ${err.message}` });
+  }
+});
+
+// ── Fetch a whole book, or one part of it ─────────────────────────────────────
+// Query params:
+//   bookUrl — book base URL
+//   partId  — optional; only this part's chapters
+//   stream=1 — report progress as Server-Sent Events (see lib/sse.js)
+// Fetches every published chapter, BOOK_CONCURRENCY at a time, and returns:
+//   { bookUrl, part: { id, title } | null, chapterCount, wordCount,
+//     chapters: [{ id, title, part, link, wordCount, text }],
+//     failed:   [{ id, title, error }] }
+// A chapter that cannot be fetched is listed in failed rather than failing
+// the whole bundle. Chapters come back in table-of-contents order.
+router.get('/book', async (req, res) => {
+  const { bookUrl, partId } = req.query;
+  const stream = req.query.stream === '1';
+  const fresh = wantsFresh(req);
+
+  if (!bookUrl) {
+    return res.status(400).json({ error: 'bookUrl query parameter is required.' });
+  }
+
+  const urlError = checkSourceUrl(bookUrl);
+  if (urlError) return res.status(400).json({ error: urlError });
+
+  let parts;
+  try {
+    parts = (await getToc(bookUrl, fresh)).value;
+  } catch (err) {
+    console.error('Error fetching TOC:', err.message);
+    return res.status(err.status || 502).json({ error: `Could not fetch table of contents: ${err.message}` });
+  }
+  if (partId) {
+    parts = parts.filter(p => String(p.id) === String(partId));
+    if (!parts.length) return res.status(404).json({ error: `No part ${partId} with published chapters in this book.` });
+  }
+
+  const entries = parts.flatMap(p => p.chapters.map(c => ({ ...c, part: p.title })));
+  if (entries.length > MAX_BOOK_CHAPTERS) {
+    return res.status(413).json({ error: `This book has ${entries.length} chapters; load at most ${MAX_BOOK_CHAPTERS} at once (choose a part instead).` });
+  }
+
+  console.log(`[${new Date().toISOString()}] Fetching ${entries.length} chapters from ${bookUrl}${partId ? ` (part ${partId})` : ''}`);
+
+  const sse = stream ? openEventStream(res) : null;
+  let closed = false;
+  res.on('close', () => { if (!res.writableFinished) closed = true; });
+
+  let done = 0;
+  const results = await mapWithConcurrency(entries, BOOK_CONCURRENCY, async entry => {
+    if (closed) return { entry, error: 'Request cancelled' };
+    try {
+      const { value } = await getChapter(bookUrl, entry.id, fresh);
+      return { entry, chapter: value };
+    } catch (err) {
+      return { entry, error: err.message };
+    } finally {
+      done++;
+      sse?.send('progress', { done, total: entries.length, title: entry.title });
+    }
+  });
+  if (closed) return;
+
+  const chapters = results.filter(r => r.chapter).map(({ entry, chapter }) => ({
+    id: chapter.id,
+    title: chapter.title,
+    part: entry.part,
+    link: chapter.link,
+    wordCount: chapter.wordCount,
+    text: chapter.text,
+  }));
+  const failed = results.filter(r => r.error).map(({ entry, error }) => ({ id: entry.id, title: entry.title, error }));
+  const bundle = {
+    bookUrl: bookUrl.replace(/\/$/, ''),
+    part: partId ? { id: parts[0].id, title: parts[0].title } : null,
+    chapterCount: chapters.length,
+    wordCount: chapters.reduce((sum, c) => sum + c.wordCount, 0),
+    chapters,
+    failed,
+  };
+
+  console.log(`[${new Date().toISOString()}] Book bundle ready — ${chapters.length} chapters, ${bundle.wordCount} words${failed.length ? `, ${failed.length} failed` : ''}`);
+
+  if (!chapters.length && entries.length) {
+    const error = `Could not fetch any chapters: ${failed[0].error}`;
+    if (!sse) return res.status(502).json({ error });
+    sse.send('error', { error });
+    return sse.close();
+  }
+  if (!sse) return res.json(bundle);
+  sse.send('done', bundle);
+  sse.close();
+});
+
+// ── Cached Pressbooks fetches (shared by /toc, /chapter and /book) ────────────
+// Each resolves to { value, hit } where hit says whether it came from the cache.
+async function getToc(bookUrl, fresh) {
+  if (isPackageUrl(bookUrl)) return { value: packageToc(bookUrl), hit: false };
+  const tocUrl = `${bookUrl}/wp-json/pressbooks/v2/toc`;
+  const version = await bookVersion(bookUrl);
+  const cacheKey = `toc:${tocUrl}:${version}`;
+
+  const cached = !fresh && await cache.get(cacheKey);
+  if (cached) return { value: cached, hit: true };
+
+  console.log(`[${new Date().toISOString()}] Fetching TOC: ${tocUrl}`);
+
+  const r = await fetch(tocUrl, { headers: { 'Accept': 'application/json' } });
+  if (!r.ok) throw new Error(`HTTP ${r.status}`);
+
+  const toc = await r.json();
+
+  // Simplify the TOC to just what the app needs
+  const parts = (toc.parts || [])
+    .filter(p => Array.isArray(p.chapters) && p.chapters.length > 0)
+    .map(p => ({
+      id: p.id,
+      title: p.title || 'Untitled Part',
+      chapters: p.chapters
+        .filter(c => c.status === 'publish' && c.has_post_content)
+        .map(c => ({
+          id: c.id,
+          title: c.title || 'Untitled Chapter',
+          slug: c.slug,
+          link: c.link,
+          wordCount: c.word_count || 0,
+        })),
+    }))
+    .filter(p => p.chapters.length > 0);
+
+  await cache.set(cacheKey, parts, version ? CONTENT_CACHE_TTL : UNVERSIONED_TTL);
+  return { value: parts, hit: false };
+}
+
+async function getChapter(bookUrl, chapterId, fresh) {
+  if (isPackageUrl(bookUrl)) return { value: packageChapter(bookUrl, chapterId), hit: false };
+  const chapterUrl = `${bookUrl}/wp-json/pressbooks/v2/chapters/${encodeURIComponent(chapterId)}`;
+  const version = await bookVersion(bookUrl);
+  const cacheKey = `chapter:${chapterUrl}:${version}`;
+
+  const cached = !fresh && await cache.get(cacheKey);
+  // Entries cached before blocks were added are fetched again
+  if (cached?.blocks) return { value: cached, hit: true };
+
+  console.log(`[${new Date().toISOString()}] Fetching chapter: ${chapterUrl}`);
+
+  const r = await fetch(chapterUrl, { headers: { 'Accept': 'application/json' } });
+  if (!r.ok) throw new Error(`HTTP ${r.status}`);
+
+  const chapter = await r.json();
+
+  const htmlContent = chapter?.content?.rendered || '';
+  const title = chapter?.title?.rendered || 'Untitled Chapter';
+  const link = chapter?.link || '';
+
+  // Strip HTML tags to get plain text for Claude
+  const plainText = htmlToPlainText(htmlContent);
+
+  const result = {
+    id: chapter.id,
+    title: stripHtml(title),
+    link,
+    wordCount: countWords(plainText),
+    text: plainText,
+    blocks: htmlToBlocks(htmlContent, { baseUrl: link || bookUrl }),
+  };
+  await cache.set(cacheKey, result, version ? CONTENT_CACHE_TTL : UNVERSIONED_TTL);
+  return { value: result, hit: false };
+}
+
+module.exports = router;
@@ -0,0 +1,77 @@
+/**
+ * /api/prompts — prompt template registry (see lib/prompts.js)
+ *
+ *   GET    /api/prompts                          → every template's id, version, description, variables
+ *   GET    /api/prompts/:id?course=...           → the template text in force for a course
+ *
+ * Admin (ADMIN_TOKEN, or a request from this machine):
+ *   GET    /api/admin/prompts/overrides          → every override currently in force
+ *   GET    /api/admin/prompts/:id/overrides?course=...  → one course's override history
+ *   PUT    /api/admin/prompts/:id/overrides      → save { course, system, template, note } as a new version
+ *   DELETE /api/admin/prompts/:id/overrides?course=...  → go back to the default (kept in history)
+ *
+ * course "" (or omitted) means every course. The page at /admin/prompts uses these routes.
+ */
+
+const express = require('express');
+const { requireAdmin } = require('../access');
+const {
+  listTemplates, resolveTemplate,
+  saveOverride, resetOverride, overrideHistory, activeOverrides,
+} = require('../prompts');
+const { errorSender } = require('../util');
+
+const router = express.Router();
+
+const sendError = errorSender('Prompt registry');
+
+router.get('/prompts', (req, res) => {
+  try {
+    res.json({ templates: listTemplates() });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.get('/prompts/:id', (req, res) => {
+  try {
+    res.json(resolveTemplate(req.params.id, req.query.course || ''));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// ── Instructor overrides ──────────────────────────────────────────────────────
+router.get('/admin/prompts/overrides', requireAdmin, (req, res) => {
+  res.json({ overrides: activeOverrides() });
+});
+
+router.get('/admin/prompts/:id/overrides', requireAdmin, (req, res) => {
+  try {
+    res.json({ history: overrideHistory(req.params.id, req.query.course || '') });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.put('/admin/prompts/:id/overrides', requireAdmin, (req, res) => {
+  try {
+    const record = saveOverride(req.params.id, req.body || {});
+    console.log(`[${new Date().toISOString()}] Prompt override saved — ${record.id} for ${record.course || 'all courses'} (v${record.version})`);
+    res.json(record);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.delete('/admin/prompts/:id/overrides', requireAdmin, (req, res) => {
+  try {
+    const record = resetOverride(req.params.id, req.query.course || '');
+    console.log(`[${new Date().toISOString()}] Prompt override reset — ${record.id} for ${record.course || 'all courses'}`);
+    res.json(record);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
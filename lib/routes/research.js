@@ -0,0 +1,108 @@
+/**
+ * /api/research — opt-in research logging (see lib/research.js)
+ *
+ * From the tools (no admin access needed):
+ *   GET    /api/research/status                     → { enabled, retentionDays }
+ *   POST   /api/research/events                     → record one event (204)
+ *          { consent: true, participant, tool, activity?, event, mode?,
+ *            passage_chars?, follow_ups?, turns?, seconds?, completed? }
+ *   DELETE /api/research/participants/:participant  → a student withdraws: { removed }
+ *
+ * For researchers (ADMIN_TOKEN, or a request from this machine):
+ *   GET    /api/research/events?from&to&course&tool&format=json|csv
+ *          → { filters, summary, events } or every event as a CSV row
+ *   DELETE /api/research/events?from&to&course&tool → { removed }
+ *          (at least one filter, or all=1 to empty the log)
+ *
+ * Events carry the course of the X-Access-Code header, when there is one.
+ * With REQUIRE_ACCESS_CODE set, events without a working code are refused.
+ * The page at /admin/research uses the researcher routes.
+ */
+
+const express = require('express');
+const { REQUIRE_ACCESS_CODE } = require('../config');
+const { requireAdmin, courseForCode } = require('../access');
+const { HttpError } = require('../errors');
+const { DAY_RE, csvCell, errorSender } = require('../util');
+const { recordEvent, exportEvents, summarize, purgeEvents, withdraw, researchStatus } = require('../research');
+
+const router = express.Router();
+
+const CSV_COLUMNS = ['ts', 'participant', 'course', 'tool', 'activity', 'event', 'mode', 'passage_chars', 'follow_ups', 'turns', 'seconds', 'completed'];
+
+const sendError = errorSender('Research log');
+
+// from/to/course/tool from the query string; throws on a malformed date
+function filtersOf(query) {
+  const { from, to, course, tool } = query;
+  if ((from && !DAY_RE.test(from)) || (to && !DAY_RE.test(to))) {
+    throw new HttpError(400, 'from and to must be dates in YYYY-MM-DD format.');
+  }
+  return { from, to, course, tool };
+}
+
+// ── From the tools ────────────────────────────────────────────────────────────
+router.get('/research/status', (req, res) => {
+  res.json(researchStatus());
+});
+
+router.post('/research/events', (req, res) => {
+  const body = req.body || {};
+  if (body.consent !== true) {
+    return res.status(400).json({ error: 'Research events are only accepted with the student\'s consent (consent: true).' });
+  }
+  const code = req.get('X-Access-Code');
+  const course = code ? courseForCode(code) : null;
+  if (REQUIRE_ACCESS_CODE && !course) {
+    return res.status(401).json({ error: 'This server needs a class access code.', code: 'access_code_required' });
+  }
+  try {
+    recordEvent(body, { participant: body.participant, course });
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.delete('/research/participants/:participant', (req, res) => {
+  try {
+    const removed = withdraw(req.params.participant);
+    console.log(`[${new Date().toISOString()}] Research log — a participant withdrew (${removed} event${removed === 1 ? '' : 's'} removed)`);
+    res.json({ removed });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// ── For researchers ───────────────────────────────────────────────────────────
+router.get('/research/events', requireAdmin, (req, res) => {
+  let filters;
+  try {
+    filters = filtersOf(req.query);
+  } catch (err) {
+    return sendError(res, err);
+  }
+  const events = exportEvents(filters);
+  if (req.query.format !== 'csv') {
+    return res.json({ filters, summary: summarize(events), events });
+  }
+  const rows = [CSV_COLUMNS, ...events.map(e => CSV_COLUMNS.map(c => e[c] ?? ''))];
+  const csv = rows.map(r => r.map(csvCell).join(',')).join('\n') + '\n';
+  res.set('Content-Disposition', 'attachment; filename="open-margins-research.csv"').type('text/csv').send(csv);
+});
+
+router.delete('/research/events', requireAdmin, (req, res) => {
+  try {
+    const filters = filtersOf(req.query);
+    if (!Object.values(filters).some(Boolean) && req.query.all !== '1') {
+      return res.status(400).json({ error: 'Say which events to delete (from, to, course or tool), or add all=1 to delete every event.' });
+    }
+    const removed = purgeEvents(filters);
+    console.log(`[${new Date().toISOString()}] Research log purged — ${removed} event${removed === 1 ? '' : 's'} removed (${JSON.stringify(filters)})`);
+    res.json({ removed });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+/**
+ * GET /api/usage — token usage report
+ *
+ * Query params (all optional):
+ *   from, to  — YYYY-MM-DD, inclusive
+ *   tool      — companion | nova | rhizo | sylva | activity-builder
+ *   course    — course tag
+ *   format    — json (default) | csv (every grouped total as a row: group, key, …)
+ *
+ * The report page at /admin/usage reads this endpoint. Needs admin access
+ * (ADMIN_TOKEN, or a request from this machine; see lib/access.js).
+ */
+
+const express = require('express');
+const { usageReport } = require('../usage');
+const { requireAdmin } = require('../access');
+const { DAY_RE, csvCell } = require('../util');
+
+const router = express.Router();
+
+router.get('/usage', requireAdmin, (req, res) => {
+  const { from, to, tool, course, format } = req.query;
+  if ((from && !DAY_RE.test(from)) || (to && !DAY_RE.test(to))) {
+    return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format.' });
+  }
+
+  const report = usageReport({ from, to, tool, course });
+  if (format !== 'csv') return res.json(report);
+
+  const rows = [['group', 'key', 'requests', 'cached', 'input_tokens', 'output_tokens', 'cost_usd']];
+  for (const [group, list] of [['tool', report.byTool], ['activity', report.byActivity], ['course', report.byCourse], ['template', report.byTemplate], ['day', report.byDay]]) {
+    for (const r of list) rows.push([group, r.key, r.requests, r.cached, r.input_tokens, r.output_tokens, r.cost ?? '']);
+  }
+  const csv = rows.map(r => r.map(csvCell).join(',')).join('\n') + '\n';
+  res.set('Content-Disposition', 'attachment; filename="open-margins-usage.csv"').type('text/csv').send(csv);
+});
+
+module.exports = router;
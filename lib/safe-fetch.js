@@ -0,0 +1,178 @@
+/**
+ * Open Margins — Fetching URLs chosen by users
+ *
+ * /api/fetch-url fetches whatever address a student pastes, so it must not
+ * become a way into the server's own network. safeFetch:
+ *
+ *   - only speaks http and https, and refuses URLs with a user name or password
+ *   - refuses private, loopback, link-local (169.254.169.254 and the rest of
+ *     the cloud metadata range), multicast and reserved addresses, IPv4 and
+ *     IPv6 alike, including IPv4-mapped IPv6 (::ffff:127.0.0.1)
+ *   - checks the addresses a hostname resolves to at connect time, so DNS
+ *     tricks (rebinding, a public name pointing at 10.0.0.1) are caught
+ *   - follows redirects itself and checks every hop the same way
+ *   - stops reading once the body passes maxBytes
+ *
+ *   const page = await safeFetch(url, { timeout, maxBytes, headers, allowTypes })
+ *   page → { url, status, headers, contentType, body (Buffer), text() }
+ *
+ * url is the final address after redirects. Failures are HttpErrors:
+ * 400 (address not allowed), 413 (too large), 415 (type not in allowTypes),
+ * 502 (network error, too many redirects), 504 (timed out).
+ */
+
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const zlib = require('zlib');
+const { HttpError } = require('./errors');
+
+const MAX_REDIRECTS = 5;
+
+// ── Address checks ────────────────────────────────────────────────────────────
+const BLOCKED = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.88.99.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+  ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) BLOCKED.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [
+  ['::', 96],                         // unspecified, loopback, IPv4-compatible
+  ['64:ff9b::', 96], ['64:ff9b:1::', 48], // NAT64 — could reach any IPv4 address
+  ['100::', 64], ['2001::', 23], ['2001:db8::', 32], ['2002::', 16],
+  ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8],
+]) BLOCKED.addSubnet(address, prefix, 'ipv6');
+
+// The IPv4 address inside an IPv4-mapped IPv6 address (::ffff:a.b.c.d), or null
+function mappedIPv4(address) {
+  const dotted = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (dotted) return dotted[1];
+  const hex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+  if (!hex) return null;
+  const [hi, lo] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+  return [hi >> 8, hi & 255, lo >> 8, lo & 255].join('.');
+}
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  const v4 = family === 4 ? address : mappedIPv4(address);
+  return v4 ? !BLOCKED.check(v4, 'ipv4') : !BLOCKED.check(address, 'ipv6');
+}
+
+function blocked(host) {
+  return new HttpError(400, `That host is not allowed (${host} is a private or reserved address).`);
+}
+
+// dns.lookup, refusing the connection when any address is not public
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const bad = addresses.find(a => !isPublicAddress(a.address));
+    if (bad) return callback(blocked(`${hostname} → ${bad.address}`));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function checkUrl(url) {
+  if (!['http:', 'https:'].includes(url.protocol)) throw new HttpError(400, 'Only http and https URLs are supported.');
+  if (url.username || url.password) throw new HttpError(400, 'URLs with a user name or password are not allowed.');
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) throw blocked(host);
+}
+
+// ── Requests ──────────────────────────────────────────────────────────────────
+function get(url, headers, signal) {
+  const lib = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = lib.get(url, { headers, signal, lookup: guardedLookup }, resolve);
+    req.on('error', reject);
+  });
+}
+
+async function readBody(res, maxBytes) {
+  const tooLarge = () => new HttpError(413, `The page is larger than ${Math.round(maxBytes / 1024 / 1024)} MB.`);
+  if (Number(res.headers['content-length']) > maxBytes) {
+    res.destroy();
+    throw tooLarge();
+  }
+  const decoders = { gzip: zlib.createGunzip, 'x-gzip': zlib.createGunzip, deflate: zlib.createInflate, br: zlib.createBrotliDecompress };
+  const decoder = decoders[(res.headers['content-encoding'] || '').trim().toLowerCase()];
+  const stream = decoder ? res.pipe(decoder()) : res;
+  if (decoder) res.on('error', err => stream.destroy(err));
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    size += chunk.length;
+    // Counted after decompression, so a small gzip bomb cannot get past it
+    if (size > maxBytes) {
+      res.destroy();
+      throw tooLarge();
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Decodes a body using the charset from Content-Type or a <meta charset>,
+// falling back to UTF-8.
+function decodeText(body, contentType) {
+  const fromHeader = contentType.match(/charset=["']?([\w-]+)/i)?.[1];
+  const fromMeta = body.subarray(0, 2048).toString('latin1').match(/<meta[^>]+charset=["']?([\w-]+)/i)?.[1];
+  try {
+    return new TextDecoder(fromHeader || fromMeta || 'utf-8').decode(body);
+  } catch {
+    return new TextDecoder('utf-8').decode(body);
+  }
+}
+
+async function safeFetch(address, { timeout = 12000, maxBytes = 5 * 1024 * 1024, headers = {}, allowTypes = null } = {}) {
+  let url;
+  try { url = new URL(address); }
+  catch { throw new HttpError(400, 'Invalid URL.'); }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    for (let hop = 0; ; hop++) {
+      checkUrl(url);
+      const res = await get(url, { 'Accept-Encoding': 'gzip, deflate, br', ...headers }, controller.signal);
+
+      if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+        res.resume();
+        if (hop >= MAX_REDIRECTS) throw new HttpError(502, `Too many redirects (more than ${MAX_REDIRECTS}).`);
+        url = new URL(res.headers.location, url);
+        continue;
+      }
+
+      const contentType = res.headers['content-type'] || '';
+      if (allowTypes && res.statusCode < 400 && !allowTypes.some(t => contentType.includes(t))) {
+        res.destroy();
+        throw new HttpError(415, `Unsupported content type: ${contentType.split(';')[0] || 'unknown'}`);
+      }
+      const body = await readBody(res, maxBytes);
+      return {
+        url: url.href,
+        status: res.statusCode,
+        headers: res.headers,
+        contentType,
+        body,
+        text: () => decodeText(body, contentType),
+      };
+    }
+  } catch (err) {
+    if (err.status) throw err;
+    if (err.name === 'AbortError' || controller.signal.aborted) {
+      throw new HttpError(504, 'Request timed out — the URL took too long to respond.');
+    }
+    throw new HttpError(502, err.message);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = { safeFetch, isPublicAddress };
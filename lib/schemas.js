@@ -0,0 +1,340 @@
+/**
+ * Open Margins — Output schemas
+ *
+ * Every generation that answers in JSON has a schema here, named after the
+ * tool and activity that asks for it (nova.conceptmap, rhizo.garden,
+ * sylva.lesson-arc, activity-builder.branchscenario …). /api/generate checks
+ * each reply against its schema before the front end sees it, and asks the
+ * model once to correct a reply that fails (lib/routes/generate.js).
+ *
+ *   hasSchema(id)                       → whether id names a schema
+ *   checkReply(id, text, variables)     → { data, errors } for a model reply
+ *   validItems(id, items, variables)    → the items of a list that pass on their own
+ *   sample(id, variables)               → the smallest reply that passes, for
+ *                                         the mock provider
+ *
+ * errors are short, model-readable strings with a path into the reply, e.g.
+ * '$.edges[4].to: "n19" is not the id of a node'. Schemas are a small subset
+ * of JSON Schema (type, properties, items, enum, minItems, minLength,
+ * minimum, maximum) plus an optional check(value, variables) for what types
+ * cannot say: edges that point at real nodes, scenario decisions that lead
+ * somewhere, lesson segments that fill the class. A check's messages start
+ * with a path relative to the value it checked (".edges[2].to: …") or are
+ * about the value as a whole.
+ */
+
+const MAX_ERRORS = 12; // enough for the model to see the pattern
+
+// ── Building blocks ───────────────────────────────────────────────────────────
+const text = { type: 'string', minLength: 1 };
+const string = { type: 'string' };
+const boolean = { type: 'boolean' };
+const integer = (minimum, maximum) => ({ type: 'integer', minimum, maximum });
+const number = (minimum, maximum) => ({ type: 'number', minimum, maximum });
+const oneOf = (...values) => ({ type: 'string', enum: values });
+const optional = schema => ({ ...schema, optional: true });
+const list = (items, { min = 1, check, fix } = {}) => ({ type: 'array', items, minItems: min, check, fix });
+const object = (properties, { check, fix } = {}) => ({ type: 'object', properties, check, fix });
+
+// ── Cross-checks ──────────────────────────────────────────────────────────────
+function duplicates(values) {
+  return [...new Set(values.filter((v, i) => values.indexOf(v) !== i))];
+}
+
+function conceptMapLinks(map) {
+  const ids = map.nodes.map(n => n.id);
+  const errors = duplicates(ids).map(id => `.nodes: the id ${JSON.stringify(id)} is used by more than one node`);
+  map.edges.forEach((e, i) => {
+    for (const end of ['from', 'to']) {
+      if (!ids.includes(e[end])) errors.push(`.edges[${i}].${end}: ${JSON.stringify(e[end])} is not the id of a node`);
+    }
+  });
+  return errors;
+}
+
+function oneCorrectAnswer(question) {
+  const correct = question.answers.filter(a => a.correct === true).length;
+  return correct === 1 ? [] : [`.answers: exactly one answer must have "correct": true (found ${correct})`];
+}
+
+function markedBlank(sentence) {
+  return /\*[^*]+\*/.test(sentence.text) ? [] : ['.text: the blank must be marked with asterisks, e.g. "converts *light energy* into"'];
+}
+
+function distinctOrder(exercise) {
+  const orders = exercise.items.map(it => it.order);
+  return duplicates(orders).map(n => `.items: more than one item has "order": ${n}`);
+}
+
+// A branching scenario must start at node 0, every decision must lead to a
+// node that exists, and there must be an ending to reach.
+function branchLinks(nodes) {
+  const ids = nodes.map(n => n.id);
+  const errors = duplicates(ids).map(id => `the id ${id} is used by more than one node`);
+  if (!ids.includes(0)) errors.push('there is no starting node with "id": 0');
+  if (!nodes.some(n => !n.decisions.length)) errors.push('no node is an ending (an ending has "decisions": [])');
+  nodes.forEach((n, i) => n.decisions.forEach((d, j) => {
+    if (!ids.includes(d.next)) errors.push(`[${i}].decisions[${j}].next: node ${d.next} does not exist`);
+    else if (d.next === n.id) errors.push(`[${i}].decisions[${j}].next: leads back to its own node`);
+  }));
+  return errors;
+}
+
+function arcFillsClass(segments, variables) {
+  const wanted = parseInt(variables.duration, 10);
+  const total = segments.reduce((sum, s) => sum + s.duration, 0);
+  return wanted && total !== wanted
+    ? [`the segment durations add up to ${total} minutes; they must add up to exactly ${wanted}`]
+    : [];
+}
+
+// Sample replies are built from the types alone; a fix(value, variables)
+// makes one pass its check as well.
+function linkNodes(map) {
+  map.edges = [{ from: map.nodes[0].id, to: map.nodes[1].id }];
+  return map;
+}
+
+function markBlank(sentence) {
+  sentence.text = `${sentence.text} is *${sentence.answer}*`;
+  return sentence;
+}
+
+function fillClass(segments, variables) {
+  const wanted = parseInt(variables.duration, 10);
+  if (wanted > 0) segments[0].duration = wanted;
+  return segments;
+}
+
+// ── Schemas ───────────────────────────────────────────────────────────────────
+const argument = object({ id: optional(string), argument: text, source: optional(string), strength: number(1, 100) });
+const concept = object({ name: text, description: text });
+const position = object({ label: text, text });
+const claims = fields => list(object({ claim: text, ...fields }));
+
+const SCHEMAS = {
+  // Nova
+  'nova.conceptmap': object({
+    title: text,
+    nodes: list(object({ id: text, label: text, type: optional(string), summary: optional(string) }), { min: 2 }),
+    edges: list(object({ from: text, to: text, label: optional(string), type: optional(string) })),
+  }, { check: conceptMapLinks, fix: linkNodes }),
+  'nova.tribunal': object({
+    claim: text, context: optional(string), for: list(argument), against: list(argument), reflection_prompt: text,
+  }),
+  'nova.analogy': object({
+    source_concept: concept,
+    analogy_concept: concept,
+    mappings: list(object({ source: text, analogy: text, relation: text })),
+    extend_prompt: text, break_prompt: text, rebuild_prompt: text,
+  }),
+  'nova.timeline': object({
+    title: text,
+    type: optional(string),
+    items: list(object({ era: text, concept: text, detail: text, reveals_on_click: optional(string), connections: optional(list({}, { min: 0 })) }), { min: 2 }),
+    synthesis_question: text,
+  }),
+  'nova.assumptions': object({
+    title: text,
+    preamble: optional(string),
+    assumptions: list(object({ id: optional(string), text, type: optional(string), why_hidden: text, challenge_prompt: text })),
+  }),
+  'nova.transfer': object({
+    concept: object({ name: text, description: text, core_logic: optional(string) }),
+    scenarios: list(object({ id: optional(string), domain: text, icon: optional(string), situation: text, guiding_question: text })),
+    apply_prompt: text, breakdown_prompt: text, insight_prompt: text,
+  }),
+  'nova.questions': object({
+    title: text,
+    categories: list(object({ type: optional(string), label: text, description: optional(string), color_key: optional(string), questions: list(text) })),
+    student_prompt: text,
+  }),
+
+  // Rhizo
+  'rhizo.garden': object({
+    official_summary: text,
+    weeds: list(object({ type: text, label: text, content: text, student_prompt: text })),
+  }),
+  'rhizo.uncertainty': object({
+    intro: text,
+    questions: list(object({
+      type: text, type_label: text, question: text, why_unanswerable: text, stakes: text,
+      position_a: position, position_b: position,
+    })),
+  }),
+  'rhizo.council': object({
+    wicked_problem: text,
+    voices: list(object({ emoji: optional(string), role: text, says: text }), { min: 2 }),
+    navigation_prompt: text,
+  }),
+  'rhizo.nomad': object({
+    entries: list(object({ mode: text, icon: optional(string), content: text, why: text }), { min: 2 }),
+    reflection_prompt: text,
+  }),
+  'rhizo.contract': object({
+    topic: text,
+    sections: list(object({ label: text, color: optional(string), prompt: text, placeholder: optional(string) })),
+    signature_line: text,
+  }),
+  'rhizo.trust': object({
+    framing: text,
+    claims: claims({ trust_type: oneOf('source', 'community', 'process', 'person'), trust_type_label: optional(string), trust_basis: text, audit_questions: list(text), cormier_lens: text }),
+    synthesis_prompt: text,
+  }),
+  'rhizo.abundance': object({
+    finished_product: text,
+    hidden_uncertainties: list(object({ type: text, type_label: text, hidden_label: text, hidden_text: text, what_to_ask: text })),
+    sit_with_it: text,
+  }),
+  'rhizo.breadcrumb': object({
+    intro: text,
+    claims: claims({ claim_type: oneOf('fact', 'interpretation', 'value', 'experience'), claim_type_label: optional(string), trail_questions: list(text), cormier_note: text }),
+    build_prompt: text,
+  }),
+
+  // Sylva
+  'sylva.objectives': list(object({ objective: text, bloom: text, bloomLevel: integer(1, 6) })),
+  'sylva.lesson-arc': list(object({
+    title: text, duration: integer(1), description: text, instructorNote: optional(string),
+    activity: text, activityType: text, passage: optional(string),
+  }), { check: arcFillsClass, fix: fillClass }),
+  'sylva.assessment': list(object({
+    type: oneOf('formative', 'summative'), title: text, description: text, alignment: optional(string), tru_note: optional(string),
+  })),
+
+  // Activity Builder
+  'activity-builder.quiz': list(object({
+    text,
+    answers: list(object({ text, correct: boolean, feedback: optional(string) }), { min: 2 }),
+  }, { check: oneCorrectAnswer })),
+  'activity-builder.truefalse': list(object({ statement: text, correct: boolean, feedback: optional(string) })),
+  'activity-builder.flashcards': list(object({ front: text, back: text })),
+  'activity-builder.fillblanks': list(object({ text, answer: text, hint: optional(string) }, { check: markedBlank, fix: markBlank })),
+  'activity-builder.matching': list(object({ term: text, definition: text }), { min: 2 }),
+  'activity-builder.shortanswer': list(object({ question: text, modelAnswer: text, hint: optional(string) })),
+  'activity-builder.ordering': object({
+    title: text, instruction: text,
+    items: list(object({ text, order: integer(1) }), { min: 2 }),
+  }, { check: distinctOrder }),
+  'activity-builder.scenario': list(object({ scenario: text, question: text, guideline: text })),
+  'activity-builder.branchscenario': list(object({
+    id: integer(0),
+    scenario: text,
+    decisions: list(object({ text, next: integer(0), feedback: optional(string) }), { min: 0 }),
+  }), { min: 2, check: branchLinks }),
+};
+
+// ── Validation ────────────────────────────────────────────────────────────────
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+const TYPE_NAMES = { string: 'text', integer: 'a whole number', number: 'a number', boolean: 'true or false', array: 'an array', object: 'an object' };
+
+function validate(schema, value, path, variables, errors) {
+  if (errors.length >= MAX_ERRORS || !schema.type) return;
+  const actual = typeOf(value);
+  const fits = actual === schema.type || (schema.type === 'number' && actual === 'integer');
+  if (!fits) return errors.push(`${path}: expected ${TYPE_NAMES[schema.type]}, got ${actual === 'undefined' ? 'nothing' : actual}`);
+  const before = errors.length;
+
+  if (schema.type === 'string') {
+    if (schema.minLength && !value.trim()) errors.push(`${path}: must not be empty`);
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  } else if (schema.type === 'number' || schema.type === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be at most ${schema.maximum}`);
+  } else if (schema.type === 'array') {
+    if (value.length < (schema.minItems || 0)) errors.push(`${path}: needs at least ${schema.minItems} item${schema.minItems > 1 ? 's' : ''}`);
+    value.forEach((item, i) => validate(schema.items, item, `${path}[${i}]`, variables, errors));
+  } else if (schema.type === 'object') {
+    for (const [key, sub] of Object.entries(schema.properties)) {
+      if (value[key] === undefined) {
+        if (!sub.optional) errors.push(`${path}.${key}: missing`);
+      } else {
+        validate(sub, value[key], `${path}.${key}`, variables, errors);
+      }
+    }
+  }
+
+  // Cross-checks only make sense once the shape is right
+  if (schema.check && errors.length === before) {
+    for (const message of schema.check(value, variables)) {
+      errors.push(/^[.[]/.test(message) ? path + message : `${path}: ${message}`);
+    }
+  }
+}
+
+function errorsFor(schema, value, variables) {
+  const errors = [];
+  validate(schema, value, '$', variables || {}, errors);
+  return errors.slice(0, MAX_ERRORS);
+}
+
+// ── Samples ───────────────────────────────────────────────────────────────────
+// The smallest value of a schema: required fields only, as few items as a list
+// allows. Items are told apart by their place in the list, so ids, orders and
+// branch nodes differ and only the first answer in a quiz is correct.
+function sampleOf(schema, variables, name = 'text', index = 0) {
+  let value;
+  if (schema.type === 'string') {
+    value = schema.enum ? schema.enum[0] : `Sample ${name} ${index + 1}`;
+  } else if (schema.type === 'integer' || schema.type === 'number') {
+    value = Math.min((schema.minimum ?? 0) + index, schema.maximum ?? Infinity);
+  } else if (schema.type === 'boolean') {
+    value = index === 0;
+  } else if (schema.type === 'array') {
+    value = Array.from({ length: schema.minItems || 0 }, (_, i) => sampleOf(schema.items, variables, name, i));
+  } else if (schema.type === 'object') {
+    value = {};
+    for (const [key, sub] of Object.entries(schema.properties)) {
+      if (!sub.optional) value[key] = sampleOf(sub, variables, key, index);
+    }
+  }
+  return schema.fix ? schema.fix(value, variables) : value;
+}
+
+// ── Replies ───────────────────────────────────────────────────────────────────
+// The JSON in a model reply, ignoring code fences and any prose around it.
+function parseReply(text) {
+  const cleaned = String(text || '').replace(/^```(?:json)?\s*/im, '').replace(/\s*```\s*$/im, '').trim();
+  try {
+    return JSON.parse(cleaned);
+  } catch (err) {
+    const start = cleaned.search(/[[{]/);
+    const end = Math.max(cleaned.lastIndexOf(']'), cleaned.lastIndexOf('}'));
+    if (start > 0 || (start === 0 && end < cleaned.length - 1)) {
+      try { return JSON.parse(cleaned.slice(start, end + 1)); } catch { /* report the first error */ }
+    }
+    throw err;
+  }
+}
+
+function hasSchema(id) {
+  return Object.prototype.hasOwnProperty.call(SCHEMAS, id);
+}
+
+function checkReply(id, text, variables) {
+  let data;
+  try {
+    data = parseReply(text);
+  } catch (err) {
+    return { data: undefined, errors: [`the reply is not valid JSON (${err.message})`] };
+  }
+  return { data, errors: errorsFor(SCHEMAS[id], data, variables) };
+}
+
+function validItems(id, items, variables) {
+  const schema = SCHEMAS[id];
+  if (schema.type !== 'array') return items;
+  return items.filter(item => !errorsFor(schema.items, item, variables).length);
+}
+
+function sample(id, variables) {
+  return sampleOf(SCHEMAS[id], variables || {});
+}
+
+module.exports = { hasSchema, checkReply, validItems, sample };
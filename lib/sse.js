@@ -0,0 +1,84 @@
+/**
+ * Open Margins — Server-Sent Events helpers
+ *
+ * openEventStream(res)  → switches an Express response to text/event-stream
+ *                         and returns send(event, data) / close()
+ * readEventStream(body) → async iterator over { event, data } from an
+ *                         upstream SSE body (e.g. the Claude streaming API)
+ *
+ * Events sent to the front ends by POST /api/generate with { stream: true }:
+ *   event: delta   data: { "text": "…" }                 — next chunk of output
+ *   event: done    data: { "usage": {…}, "stop_reason" } — output finished
+ *   event: error   data: { "error": "…" }                — failed mid-stream
+ *
+ * A long reading (lib/chunking.js) first reports each section it has read:
+ *   event: progress data: { "stage": "notes", "round": 1, "done": 3, "total": 8 }
+ * (stage "sections" for list merges), then the output as a single delta.
+ * With { retrieval }, done also carries "passages": [{ n, source, section }].
+ *
+ * A reply that fails its JSON schema (lib/schemas.js) is corrected before done:
+ *   event: progress data: { "stage": "repair", "errors": ["…"] }
+ *   event: replace  data: { "text": "…" }                — the whole output, corrected
+ *
+ * GET /api/book?stream=1 sends the same shape while it fetches chapters:
+ *   event: progress data: { "done": 3, "total": 12, "title": "…" }
+ *   event: done     data: { …the book bundle… }
+ *   event: error    data: { "error": "…" }
+ */
+
+function openEventStream(res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // stop nginx-style proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  return {
+    send(event, data) {
+      if (res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (!res.writableEnded) res.end();
+    },
+  };
+}
+
+async function* readEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    // Lines may end in \r\n or \r as well as \n; a \r at the very end waits
+    // for the next chunk, in case it is the first half of a \r\n
+    const text = buffer + decoder.decode(chunk, { stream: true });
+    const held = text.endsWith('\r') ? '\r' : '';
+    buffer = text.slice(0, text.length - held.length).replace(/\r\n?/g, '\n') + held;
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const parsed = parseEventBlock(block);
+      if (parsed) yield parsed;
+    }
+  }
+  const last = parseEventBlock(buffer.replace(/\r\n?/g, '\n'));
+  if (last) yield last;
+}
+
+function parseEventBlock(block) {
+  let event = 'message';
+  const dataLines = [];
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+  }
+  if (!dataLines.length) return null;
+  const raw = dataLines.join('\n');
+  try { return { event, data: JSON.parse(raw) }; }
+  catch { return { event, data: raw }; }
+}
+
+module.exports = { openEventStream, readEventStream };
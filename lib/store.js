@@ -0,0 +1,79 @@
+/**
+ * Open Margins — JSON files in DATA_DIR
+ *
+ * Access codes, prompt overrides, shared annotations and lenses are each one
+ * JSON file, read on first use and kept in memory; every change writes the
+ * whole file again. Files are written under a temporary name and renamed
+ * into place, so a crash never leaves half a file.
+ *
+ *   createStore(file, options) → { load, save, saveSoon }
+ *     load()      → the contents, read on first use
+ *     save()      → writes them now
+ *     saveSoon()  → writes them within saveDelay ms, for data that changes on
+ *                   every request; a pending write is made on exit
+ *
+ *   options:
+ *     what       — what the file holds, for log messages ("access codes")
+ *     empty      — () → the contents when there is no file (default [])
+ *     read       — parsed JSON → contents (default as parsed)
+ *     write      — contents → what is written as JSON (default as kept)
+ *     saveDelay  — for saveSoon, in ms (default 1000)
+ *
+ *   writeFileAtomicSync(file, text)  → write-then-rename, creating the folder
+ *   writeFileAtomic(file, text)      → the same, without blocking (lib/cache.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function writeFileAtomicSync(file, text) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(tmp, text);
+  fs.renameSync(tmp, file);
+}
+
+async function writeFileAtomic(file, text) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(tmp, text);
+  await fs.promises.rename(tmp, file);
+}
+
+function createStore(file, { what, empty = () => [], read = data => data, write = data => data, saveDelay = 1000 }) {
+  let data = null; // loaded on first use
+  let timer = null;
+
+  function load() {
+    if (data) return data;
+    try {
+      data = read(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`Could not read ${what}:`, err.message);
+      data = empty();
+    }
+    return data;
+  }
+
+  function save() {
+    clearTimeout(timer);
+    timer = null;
+    try {
+      writeFileAtomicSync(file, JSON.stringify(write(load()), null, 2));
+    } catch (err) {
+      console.error(`Could not save ${what}:`, err.message);
+    }
+  }
+
+  function saveSoon() {
+    if (timer) return;
+    timer = setTimeout(save, saveDelay);
+    timer.unref();
+  }
+
+  process.on('exit', () => { if (timer) save(); });
+
+  return { load, save, saveSoon };
+}
+
+module.exports = { createStore, writeFileAtomicSync, writeFileAtomic };
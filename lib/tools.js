@@ -0,0 +1,70 @@
+/**
+ * Open Margins — Tool registry
+ *
+ * One entry per front end. Every tool is mounted at /<id> (e.g. /companion,
+ * /activity-builder), which redirects to its main page; a standalone tool
+ * server also serves that page at /. Only the pages listed here are served — never
+ * server.js, package.json or anything else in the tool's directory.
+ */
+
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+const TOOLS = {
+  'companion': {
+    name:  'Companion — Reading in the Margins',
+    dir:   'companion',
+    pages: ['companion.html'],
+  },
+  'nova': {
+    name:  'Nova — Experimental OER Lab',
+    dir:   'nova',
+    pages: ['nova.html', 'nova-guide.html'],
+  },
+  'rhizo': {
+    name:  'Rhizo — Learning in Abundance',
+    dir:   'rhizo',
+    pages: ['rhizo.html', 'rhizo-guide.html'],
+    noStore: true,
+  },
+  'sylva': {
+    name:  'Sylva — Open Margins Lesson Planner',
+    dir:   'sylva',
+    pages: ['sylva.html', 'sylva-guide.html'],
+  },
+  'activity-builder': {
+    name:  'TRU OER Activity Builder',
+    dir:   '.',
+    pages: ['tru-oer-activity-builder.html'],
+  },
+};
+
+// Site pages served at the root of the combined server.
+const SITE_PAGES = ['index.html', 'about.html', 'why.html', 'openpress-logo.png'];
+
+// Staff pages in admin/, served at /admin/<name> by every server.
+const ADMIN_PAGES = {
+  'usage': 'usage.html',
+  'codes': 'codes.html',
+  'prompts': 'prompts.html',
+  'lenses': 'lenses.html',
+  'research': 'research.html',
+};
+
+function getTool(id) {
+  const tool = TOOLS[id];
+  if (!tool) throw new Error(`Unknown tool "${id}". Expected one of: ${Object.keys(TOOLS).join(', ')}`);
+  return tool;
+}
+
+// Express handler that sends one file from the repository.
+function sendPage(dir, page, { noStore = false } = {}) {
+  const file = path.join(ROOT, dir, page);
+  return (req, res) => {
+    if (noStore) res.set('Cache-Control', 'no-store');
+    res.sendFile(file);
+  };
+}
+
+module.exports = { TOOLS, SITE_PAGES, ADMIN_PAGES, getTool, sendPage };
@@ -0,0 +1,38 @@
+/**
+ * Open Margins — File uploads
+ *
+ * Uploads are sent as the raw request body, with the file's name in
+ * ?filename= (or an X-Filename header) and its type in Content-Type, so the
+ * front ends can POST a File object directly:
+ *
+ *   fetch(`/api/extract?filename=${encodeURIComponent(file.name)}`, { method: 'POST', body: file })
+ *
+ *   router.post('/extract', acceptUpload, handler)  → req.body is a Buffer
+ *   uploadName(req)                                → the file's name, or ''
+ *
+ * Files over MAX_UPLOAD_MB are refused with 413.
+ */
+
+const express = require('express');
+const { MAX_UPLOAD_MB } = require('./config');
+
+const readRaw = express.raw({ type: () => true, limit: `${MAX_UPLOAD_MB}mb` });
+
+function acceptUpload(req, res, next) {
+  readRaw(req, res, err => {
+    if (!err) {
+      if (!Buffer.isBuffer(req.body)) req.body = Buffer.alloc(0);
+      return next();
+    }
+    if (err.type === 'entity.too.large') {
+      return res.status(413).json({ error: `That file is larger than ${MAX_UPLOAD_MB} MB.` });
+    }
+    res.status(400).json({ error: `Could not read the upload: ${err.message}` });
+  });
+}
+
+function uploadName(req) {
+  return String(req.query.filename || req.get('X-Filename') || '');
+}
+
+module.exports = { acceptUpload, uploadName };
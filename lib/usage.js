@@ -0,0 +1,149 @@
+/**
+ * Open Margins — Token usage metering and budgets
+ *
+ * Every /api/generate call is appended to DATA_DIR/usage.jsonl as one line:
+ *   { ts, tool, activity, course, template, provider, model, input_tokens, output_tokens, cached }
+ *
+ * template is the prompt template version that produced the reply (lib/prompts.js),
+ * or empty when the front end sent its own prompt.
+ *
+ *   recordUsage(entry)    → appends a line and updates the running totals
+ *   checkBudget()         → throws HttpError 429 when a daily or monthly cap is spent
+ *   usageReport(filters)  → totals grouped by tool, activity, course, template and day
+ *
+ * Caps count input + output tokens and are set with BUDGET_DAILY_TOKENS and
+ * BUDGET_MONTHLY_TOKENS (unset = no cap). Days and months follow the server's
+ * local time. Cache hits are logged but cost nothing and count toward no cap.
+ * Set PRICE_INPUT_PER_MTOK / PRICE_OUTPUT_PER_MTOK (USD per million tokens)
+ * to include a cost estimate in reports.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./config');
+const { HttpError } = require('./errors');
+const { localDay } = require('./util');
+
+const USAGE_FILE = path.join(DATA_DIR, 'usage.jsonl');
+
+const BUDGET_DAILY_TOKENS   = parseInt(process.env.BUDGET_DAILY_TOKENS   || '0', 10);
+const BUDGET_MONTHLY_TOKENS = parseInt(process.env.BUDGET_MONTHLY_TOKENS || '0', 10);
+const PRICE_INPUT_PER_MTOK  = parseFloat(process.env.PRICE_INPUT_PER_MTOK  || '0');
+const PRICE_OUTPUT_PER_MTOK = parseFloat(process.env.PRICE_OUTPUT_PER_MTOK || '0');
+
+function readEntries() {
+  let raw;
+  try { raw = fs.readFileSync(USAGE_FILE, 'utf8'); }
+  catch { return []; }
+  return raw.split('\n').filter(Boolean).flatMap(line => {
+    try { return [JSON.parse(line)]; }
+    catch { return []; } // skip a line torn by a crash mid-write
+  });
+}
+
+// ── Running totals for the budget checks ──────────────────────────────────────
+let totals = null; // { day, month, dayTokens, monthTokens }
+
+function currentTotals() {
+  const today = localDay(new Date());
+  const month = today.slice(0, 7);
+  if (!totals) {
+    totals = { day: today, month, dayTokens: 0, monthTokens: 0 };
+    for (const e of readEntries()) {
+      const tokens = (e.input_tokens || 0) + (e.output_tokens || 0);
+      const day = localDay(new Date(e.ts));
+      if (day === today) totals.dayTokens += tokens;
+      if (day.startsWith(month)) totals.monthTokens += tokens;
+    }
+  }
+  // Roll over at local midnight / the first of the month
+  if (totals.day !== today)   Object.assign(totals, { day: today, dayTokens: 0 });
+  if (totals.month !== month) Object.assign(totals, { month, monthTokens: 0 });
+  return totals;
+}
+
+function recordUsage({ tool, activity, course, template, provider, model, usage, cached = false }) {
+  const entry = {
+    ts: new Date().toISOString(),
+    tool: tool || 'unknown',
+    activity: activity || '',
+    course: course || '',
+    template: template || '',
+    provider,
+    model,
+    input_tokens: cached ? 0 : usage?.input_tokens || 0,
+    output_tokens: cached ? 0 : usage?.output_tokens || 0,
+    cached,
+  };
+  const t = currentTotals();
+  t.dayTokens += entry.input_tokens + entry.output_tokens;
+  t.monthTokens += entry.input_tokens + entry.output_tokens;
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.appendFileSync(USAGE_FILE, JSON.stringify(entry) + '\n');
+  } catch (err) {
+    console.error('Could not record usage:', err.message);
+  }
+}
+
+function checkBudget() {
+  const t = currentTotals();
+  if (BUDGET_DAILY_TOKENS && t.dayTokens >= BUDGET_DAILY_TOKENS) {
+    throw new HttpError(429, `Today's AI budget (${BUDGET_DAILY_TOKENS.toLocaleString()} tokens) has been used up. It resets at midnight — or ask your instructor.`);
+  }
+  if (BUDGET_MONTHLY_TOKENS && t.monthTokens >= BUDGET_MONTHLY_TOKENS) {
+    throw new HttpError(429, `This month's AI budget (${BUDGET_MONTHLY_TOKENS.toLocaleString()} tokens) has been used up. It resets on the 1st — or ask your instructor.`);
+  }
+}
+
+function estimateCost(input, output) {
+  if (!PRICE_INPUT_PER_MTOK && !PRICE_OUTPUT_PER_MTOK) return null;
+  return Math.round((input * PRICE_INPUT_PER_MTOK + output * PRICE_OUTPUT_PER_MTOK) / 1e4) / 100;
+}
+
+// ── Report ────────────────────────────────────────────────────────────────────
+// filters: { from, to } as YYYY-MM-DD (inclusive, local time), tool, course
+function usageReport({ from, to, tool, course } = {}) {
+  const entries = readEntries().filter(e => {
+    const day = localDay(new Date(e.ts));
+    if (from && day < from) return false;
+    if (to && day > to) return false;
+    if (tool && e.tool !== tool) return false;
+    if (course && e.course !== course) return false;
+    return true;
+  });
+
+  function group(keyFn) {
+    const rows = new Map();
+    for (const e of entries) {
+      const key = keyFn(e);
+      const row = rows.get(key) || { key, requests: 0, cached: 0, input_tokens: 0, output_tokens: 0 };
+      row.requests++;
+      if (e.cached) row.cached++;
+      row.input_tokens += e.input_tokens || 0;
+      row.output_tokens += e.output_tokens || 0;
+      rows.set(key, row);
+    }
+    return [...rows.values()]
+      .map(r => ({ ...r, cost: estimateCost(r.input_tokens, r.output_tokens) }))
+      .sort((a, b) => (b.input_tokens + b.output_tokens) - (a.input_tokens + a.output_tokens));
+  }
+
+  const [total] = group(() => 'total');
+  const t = currentTotals();
+  return {
+    filters: { from: from || null, to: to || null, tool: tool || null, course: course || null },
+    total: total || { key: 'total', requests: 0, cached: 0, input_tokens: 0, output_tokens: 0, cost: estimateCost(0, 0) },
+    byTool: group(e => e.tool),
+    byActivity: group(e => `${e.tool} · ${e.activity || '—'}`),
+    byCourse: group(e => e.course || '—'),
+    byTemplate: group(e => e.template || '—'),
+    byDay: group(e => localDay(new Date(e.ts))).sort((a, b) => a.key.localeCompare(b.key)),
+    budget: {
+      daily:   { limit: BUDGET_DAILY_TOKENS || null,   used: t.dayTokens },
+      monthly: { limit: BUDGET_MONTHLY_TOKENS || null, used: t.monthTokens },
+    },
+  };
+}
+
+module.exports = { recordUsage, checkBudget, usageReport };
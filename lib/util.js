@@ -0,0 +1,42 @@
+/**
+ * Open Margins — Small helpers shared by the routes and logs
+ *
+ *   DAY_RE             → matches a YYYY-MM-DD date
+ *   localDay(date)     → the date's YYYY-MM-DD in the server's time zone
+ *   csvCell(value)     → the value as one CSV cell, quoted when it must be
+ *   sameSecret(a, b)   → whether two keys match, in time that does not depend
+ *                        on where they differ
+ *   errorSender(label) → a route's sendError(res, err): an HttpError answers
+ *                        with its status and message; anything else is logged
+ *                        as "<label> error" and answered with a plain 500
+ */
+
+const crypto = require('crypto');
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// en-CA formats dates as YYYY-MM-DD
+function localDay(date) {
+  return date.toLocaleDateString('en-CA');
+}
+
+function csvCell(v) {
+  const s = String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Hashed first: timingSafeEqual needs inputs of the same length
+function sameSecret(a, b) {
+  const hash = s => crypto.createHash('sha256').update(s).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+function errorSender(label) {
+  return function sendError(res, err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(`${label} error:`, err.message);
+    res.status(500).json({ error: 'Internal server error.' });
+  };
+}
+
+module.exports = { DAY_RE, localDay, csvCell, sameSecret, errorSender };
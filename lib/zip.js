@@ -0,0 +1,81 @@
+/**
+ * Open Margins — Reading zip archives within a size limit
+ *
+ * Uploaded documents (.docx, .epub, .odt, .pptx) and course packages are zip
+ * files, and a small zip can unpack to gigabytes. Archives are opened here,
+ * where what they may unpack to is capped: the sizes the zip declares are
+ * checked before anything is inflated, and each file is counted as it is
+ * inflated, since those declared sizes can lie.
+ *
+ *   openZip(buffer, { maxBytes, entryBytes, notZip }) → archive
+ *     archive.read(name)  → Buffer, or null when there is no such file
+ *     archive.text(name)  → the same as UTF-8 text
+ *     archive.checkAll()  → inflates every file without keeping it, for
+ *                           archives another library will read (mammoth)
+ *
+ *   maxBytes    — everything inflated from the archive, together
+ *   entryBytes  — any one file (default maxBytes)
+ *   notZip      — the message for a file that is not a zip (HttpError 422)
+ *
+ * Inflating past a limit throws HttpError 413.
+ */
+
+const JSZip = require('jszip');
+const { HttpError } = require('./errors');
+
+function tooBig(limit) {
+  return new HttpError(413, `This file unpacks to more than ${Math.round(limit / (1024 * 1024))} MB, which is more than the server reads.`);
+}
+
+async function openZip(buffer, { maxBytes, entryBytes = maxBytes, notZip }) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch {
+    throw new HttpError(422, notZip);
+  }
+  const files = Object.values(zip.files).filter(entry => !entry.dir);
+  const declared = files.reduce((sum, entry) => sum + (entry._data?.uncompressedSize || 0), 0);
+  if (declared > maxBytes) throw tooBig(maxBytes);
+
+  let total = 0;
+  // Inflates one file, stopping as soon as it passes a limit
+  function inflate(entry, keep) {
+    const limit = Math.min(entryBytes, maxBytes - total);
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      const stream = entry.internalStream('nodebuffer');
+      stream
+        .on('data', chunk => {
+          size += chunk.length;
+          if (size > limit) {
+            stream.pause();
+            reject(tooBig(size > entryBytes ? entryBytes : maxBytes));
+          } else if (keep) {
+            chunks.push(chunk);
+          }
+        })
+        .on('error', reject)
+        .on('end', () => {
+          total += size;
+          resolve(keep ? Buffer.concat(chunks, size) : null);
+        })
+        .resume();
+    });
+  }
+
+  const read = name => {
+    const entry = zip.file(name);
+    return entry ? inflate(entry, true) : Promise.resolve(null);
+  };
+  return {
+    read,
+    text: async name => (await read(name))?.toString('utf8') ?? null,
+    async checkAll() {
+      for (const entry of files) await inflate(entry, false);
+    },
+  };
+}
+
+module.exports = { openZip };
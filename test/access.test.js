@@ -0,0 +1,48 @@
+/**
+ * Class access codes and admin access (lib/access.js)
+ */
+
+process.env.REQUIRE_ACCESS_CODE = 'on';
+const { serve } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createApp } = require('../lib/app');
+const { createCode, listCodes } = require('../lib/access');
+
+let server;
+test.before(async () => { server = await serve(createApp()); });
+test.after(() => server.close());
+
+function generate(code, prompt) {
+  return fetch(`${server.url}/api/generate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Access-Code': code },
+    body: JSON.stringify({ prompt }),
+  });
+}
+
+test('REQUIRE_ACCESS_CODE=on turns access codes on', async () => {
+  const res = await generate('', 'Hello');
+  assert.strictEqual(res.status, 401);
+  assert.strictEqual((await res.json()).code, 'access_code_required');
+});
+
+test('counts replies from the model against the quota, and cached ones not at all', async () => {
+  const { code } = createCode({ course: 'BIOL 1110', quota: 2 });
+  const used = () => listCodes().find(c => c.code === code).used;
+  assert.strictEqual((await generate(code, 'What is a cell?')).status, 200);
+  assert.strictEqual(used(), 1);
+  const cached = await generate(code, 'What is a cell?');
+  assert.strictEqual(cached.headers.get('x-cache'), 'HIT');
+  assert.strictEqual(used(), 1);
+  assert.strictEqual((await generate(code, 'What is a tissue?')).status, 200);
+  const refused = await generate(code, 'What is an organ?');
+  assert.strictEqual(refused.status, 429);
+  assert.strictEqual((await refused.json()).code, 'quota_exceeded');
+});
+
+test('refuses admin routes without ADMIN_TOKEN on a server that requires codes', async () => {
+  const res = await fetch(`${server.url}/api/admin/codes`);
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual((await res.json()).code, 'admin_token_not_set');
+});
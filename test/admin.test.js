@@ -0,0 +1,35 @@
+/**
+ * Admin routes without ADMIN_TOKEN: this machine only (lib/access.js)
+ */
+
+const { serve } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createApp } = require('../lib/app');
+
+let server;
+test.before(async () => { server = await serve(createApp()); });
+test.after(() => server.close());
+
+const codes = headers => fetch(`${server.url}/api/admin/codes`, { headers });
+
+test('answers a request from this machine', async () => {
+  assert.strictEqual((await codes()).status, 200);
+  assert.strictEqual((await codes({ Origin: server.url, 'Sec-Fetch-Site': 'same-origin' })).status, 200);
+});
+
+test('refuses a request a reverse proxy forwarded', async () => {
+  for (const headers of [{ 'X-Forwarded-For': '203.0.113.9' }, { Forwarded: 'for=203.0.113.9' }]) {
+    const res = await codes(headers);
+    assert.strictEqual(res.status, 403);
+    assert.strictEqual((await res.json()).code, 'admin_local_only');
+  }
+});
+
+test('refuses a request from another site\'s page', async () => {
+  for (const headers of [{ Origin: 'https://example.com' }, { Origin: 'null' }, { 'Sec-Fetch-Site': 'cross-site' }]) {
+    const res = await codes(headers);
+    assert.strictEqual(res.status, 403);
+    assert.strictEqual((await res.json()).code, 'admin_cross_site');
+  }
+});
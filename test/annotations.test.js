@@ -0,0 +1,69 @@
+/**
+ * Shared annotations (lib/annotations.js)
+ */
+
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('../lib/config');
+const { createGroup, memberOf, createAnnotation, listAnnotations } = require('../lib/annotations');
+
+const READER = 'reader-0123456789';
+const stored = () => JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'annotations.json'), 'utf8'));
+
+test('a join code makes a student and the instructor key an instructor', () => {
+  const { group, joinCode, instructorKey } = createGroup({ name: 'BIOL 1110' });
+  assert.strictEqual(memberOf(joinCode.toLowerCase(), READER).role, 'student');
+  assert.strictEqual(memberOf(instructorKey, READER).role, 'instructor');
+  assert.strictEqual(memberOf(instructorKey, READER).group.id, group.id);
+  assert.throws(() => memberOf(instructorKey.slice(0, -1), READER), { status: 404 });
+  assert.throws(() => memberOf(instructorKey.toUpperCase(), READER), { status: 404 });
+});
+
+test('stores authors as a hash keyed with the server secret', () => {
+  const { joinCode } = createGroup({ name: 'HIST 2200' });
+  const member = memberOf(joinCode, READER);
+  createAnnotation(member, { document: 'ch-1', mode: 'illuminate', excerpt: 'The river rose.' });
+
+  const secret = fs.readFileSync(path.join(DATA_DIR, 'annotations-secret'), 'utf8').trim();
+  assert.match(secret, /^[0-9a-f]{64}$/);
+  const expected = crypto.createHmac('sha256', secret).update(READER).digest('hex').slice(0, 24);
+  assert.strictEqual(stored().annotations.at(-1).author, expected);
+  assert.strictEqual(member.author, expected);
+});
+
+test('other readers never see a private annotation', () => {
+  const { joinCode } = createGroup({ name: 'ENGL 1100' });
+  const me = memberOf(joinCode, READER);
+  createAnnotation(me, { document: 'ch-3', mode: 'illuminate', excerpt: 'Mine alone.', visibility: 'private' });
+  assert.strictEqual(listAnnotations(me, 'ch-3').length, 1);
+  assert.strictEqual(listAnnotations(memberOf(joinCode, 'someone-else-99'), 'ch-3').length, 0);
+});
+
+test('a returning reader keeps the annotations stored under the old unkeyed hash', () => {
+  const { group, joinCode } = createGroup({ name: 'PHIL 1010' });
+  const annotator = 'returning-reader-42';
+  const legacy = crypto.createHash('sha256').update(annotator).digest('hex').slice(0, 24);
+
+  // Written as an older server would have; the module is loaded again to read it
+  const data = stored();
+  data.annotations.push({
+    id: 'old-note', group: group.id, document: 'ch-2', author: legacy, name: 'Sam', role: 'student',
+    visibility: 'private', mode: 'illuminate', excerpt: 'An old note.', charOffset: null, prefix: '', suffix: '',
+    response: '', passages: [], replies: [], created: '2025-01-01T00:00:00.000Z', updated: '2025-01-01T00:00:00.000Z',
+  });
+  const file = path.join(DATA_DIR, 'annotations.json');
+  fs.writeFileSync(file, JSON.stringify(data));
+  delete require.cache[require.resolve('../lib/annotations')];
+  const fresh = require('../lib/annotations');
+
+  const member = fresh.memberOf(joinCode, annotator);
+  const [note] = fresh.listAnnotations(member, 'ch-2');
+  assert.strictEqual(note.id, 'old-note');
+  assert.strictEqual(note.mine, true);
+  assert.strictEqual(stored().annotations.find(a => a.id === 'old-note').author, member.author);
+  assert.notStrictEqual(member.author, legacy);
+});
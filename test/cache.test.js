@@ -0,0 +1,55 @@
+/**
+ * Disk-backed response cache (lib/cache.js)
+ */
+
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { CACHE_DIR } = require('../lib/config');
+const { createCache, hashKey } = require('../lib/cache');
+
+const HOUR = 60 * 60 * 1000;
+const filesIn = namespace => fs.readdirSync(path.join(CACHE_DIR, namespace));
+
+test('keeps a value until its time to live has passed', async t => {
+  const cache = createCache('ttl', { ttl: HOUR });
+  await cache.set({ url: 'https://example.com/a' }, { title: 'A' });
+  assert.deepStrictEqual(await cache.get({ url: 'https://example.com/a' }), { title: 'A' });
+  assert.strictEqual(await cache.get({ url: 'https://example.com/b' }), undefined);
+
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + HOUR - 1000);
+  assert.deepStrictEqual(await cache.get({ url: 'https://example.com/a' }), { title: 'A' });
+  Date.now.mock.mockImplementation(() => now + HOUR + 1000);
+  assert.strictEqual(await cache.get({ url: 'https://example.com/a' }), undefined);
+});
+
+test('an entry may have its own time to live', async t => {
+  const cache = createCache('entry-ttl', { ttl: HOUR });
+  await cache.set('short', 1, 1000);
+  await cache.set('long', 2);
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 5000);
+  assert.strictEqual(await cache.get('short'), undefined);
+  assert.strictEqual(await cache.get('long'), 2);
+});
+
+test('stores one file per key, named by its hash, and removes expired ones at startup', async () => {
+  const cache = createCache('prune', { ttl: HOUR });
+  await cache.set('kept', 'yes');
+  await cache.set('stale', 'no', -1);
+  fs.writeFileSync(path.join(CACHE_DIR, 'prune', 'broken.json'), '{ not json');
+  assert.strictEqual(filesIn('prune').length, 3);
+
+  createCache('prune', { ttl: HOUR });
+  for (let i = 0; i < 50 && filesIn('prune').length > 1; i++) await new Promise(resolve => setTimeout(resolve, 10));
+  assert.deepStrictEqual(filesIn('prune'), [`${hashKey('kept')}.json`]);
+});
+
+test('hashKey gives the same hash for the same key, string or object', () => {
+  assert.strictEqual(hashKey({ a: 1 }), hashKey('{"a":1}'));
+  assert.notStrictEqual(hashKey({ a: 1 }), hashKey({ a: 2 }));
+  assert.match(hashKey('x'), /^[0-9a-f]{64}$/);
+});
@@ -0,0 +1,77 @@
+/**
+ * Long readings — sections and merging (lib/chunking.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { chunkText, passageContext, notesDigest, allocate, parseList, mergeLists } = require('../lib/chunking');
+
+const paragraph = (word, n) => Array.from({ length: n }, (_, i) => `${word} sentence ${i}.`).join(' ');
+
+test('keeps a short text whole', () => {
+  assert.deepStrictEqual(chunkText('Just one paragraph.'), [{ index: 0, heading: '', text: 'Just one paragraph.' }]);
+});
+
+test('splits on headings before paragraphs, and knows each section\'s heading', () => {
+  const text = `# Cells\n\n${paragraph('Cell', 20)}\n\n${paragraph('Membrane', 20)}\n\n# Tissues\n\n${paragraph('Tissue', 20)}`;
+  const chunks = chunkText(text, { maxChars: 600 });
+  assert.deepStrictEqual(chunks.map(c => [c.index, c.heading, c.text.split(' ')[0]]), [
+    [0, 'Cells', '#'],
+    [1, 'Cells', 'Membrane'],
+    [2, 'Tissues', '#'],
+  ]);
+  assert.ok(chunks.every(c => c.text.length <= 600));
+});
+
+test('splits between sources in a tray first', () => {
+  const text = `=== Chapter 1 ===\n${paragraph('One', 30)}\n\n=== Chapter 2 ===\n${paragraph('Two', 30)}`;
+  const chunks = chunkText(text, { maxChars: 1000 });
+  assert.deepStrictEqual(chunks.map(c => c.heading), ['Chapter 1', 'Chapter 2']);
+});
+
+test('a section starting part-way through a page is marked with its page', () => {
+  const text = `[Page 1]\n${paragraph('Intro', 5)}\n\n[Page 2]\n${paragraph('Alpha', 30)}\n\n${paragraph('Beta', 30)}`;
+  const chunks = chunkText(text, { maxChars: 700 });
+  const beta = chunks.find(c => c.text.includes('Beta sentence 0.'));
+  assert.match(beta.text, /^\[Page 2\]\n/);
+});
+
+test('passageContext finds the section around a passage, ignoring spacing', () => {
+  const text = `# One\n\n${paragraph('First', 40)}\n\n# Two\n\n${paragraph('Second', 40)}`;
+  const context = passageContext(text, 'Second   sentence\n3.', { maxChars: 1000 });
+  assert.match(context, /^# Two/);
+  assert.match(passageContext(text, 'not in the text', { maxChars: 1000 }), /^# One/);
+  assert.strictEqual(passageContext('short', 'x'), 'short');
+});
+
+test('notesDigest labels each section\'s notes', () => {
+  const digest = notesDigest([{ heading: 'Cells' }, { heading: '' }], [' Notes one ', 'Notes two']);
+  assert.match(digest, /^\[This reading was too long/);
+  assert.match(digest, /## Section 1 of 2: Cells\nNotes one\n\n## Section 2 of 2\nNotes two$/);
+});
+
+test('allocate shares items by section length and adds up to the count', () => {
+  const chunks = [{ text: 'x'.repeat(600) }, { text: 'x'.repeat(300) }, { text: 'x'.repeat(100) }];
+  assert.deepStrictEqual(allocate(chunks, 10), [6, 3, 1]);
+  assert.deepStrictEqual(allocate(chunks, 3), [2, 1, 0]);
+  assert.strictEqual(allocate(chunks, 7).reduce((a, b) => a + b), 7);
+});
+
+test('parseList reads a JSON array from a reply', () => {
+  assert.deepStrictEqual(parseList('```json\n[{"q":"a"}]\n```'), [{ q: 'a' }]);
+  assert.deepStrictEqual(parseList('Here you go: [1, 2] — done'), [1, 2]);
+  assert.strictEqual(parseList('{"q":"a"}'), null);
+  assert.strictEqual(parseList('[not json]'), null);
+});
+
+test('mergeLists takes each section\'s share, drops duplicates and tops up', () => {
+  const lists = [
+    [{ question: 'What is a cell?' }, { question: 'What is DNA?' }, { question: 'Spare one?' }],
+    [{ question: 'what is a CELL' }, { question: 'What is a tissue?' }],
+    null,
+  ];
+  assert.deepStrictEqual(mergeLists(lists, [2, 2, 1], 4).map(q => q.question), [
+    'What is a cell?', 'What is DNA?', 'Spare one?', 'What is a tissue?',
+  ]);
+  assert.deepStrictEqual(mergeLists(lists, [1, 1, 0], 2).map(q => q.question), ['What is a cell?', 'What is a tissue?']);
+});
@@ -0,0 +1,68 @@
+/**
+ * Companion — finding an annotation's passage again after the reading changes
+ * (locatePassage and fuzzyFind in companion/companion.html)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The page's anchoring code, from its constants to the orphaned-annotations section
+const html = fs.readFileSync(path.join(__dirname, '..', 'companion', 'companion.html'), 'utf8');
+const code = html.slice(html.indexOf('const ANCHOR_CONTEXT_CHARS'), html.indexOf('// ── Orphaned annotations ──'));
+const page = vm.runInNewContext(`${code}\n({ locatePassage, fuzzyFind })`);
+
+// Results are copied out of the page's context, so deepStrictEqual can compare them
+const plain = fn => (...args) => { const found = fn(...args); return found && { ...found }; };
+const locatePassage = plain(page.locatePassage);
+const fuzzyFind = plain(page.fuzzyFind);
+
+const TEXT = 'The cell is the basic unit of life. Every organism is made of cells. '
+  + 'The cell membrane controls what enters the cell. Plant cells also have a wall.';
+const quote = (exact, start = TEXT.indexOf(exact)) => ({
+  exact,
+  start,
+  prefix: TEXT.slice(Math.max(0, start - 32), start),
+  suffix: TEXT.slice(start + exact.length, start + exact.length + 32),
+});
+const at = (text, found) => found && text.slice(found.start, found.end);
+
+test('finds a passage at its offset when the text there is unchanged', () => {
+  const q = quote('basic unit of life');
+  assert.deepStrictEqual(locatePassage(TEXT, q), { start: q.start, end: q.start + q.exact.length });
+});
+
+test('finds a moved passage by its quote', () => {
+  const moved = 'A new opening sentence. ' + TEXT;
+  assert.strictEqual(at(moved, locatePassage(moved, quote('basic unit of life'))), 'basic unit of life');
+});
+
+test('picks the copy of a repeated quote whose surroundings match', () => {
+  const second = TEXT.indexOf('The cell', 10);
+  const q = { ...quote('The cell', second), start: null };
+  assert.strictEqual(locatePassage(TEXT, q).start, second);
+  assert.strictEqual(locatePassage(TEXT, { exact: 'The cell' }).start, 0);
+});
+
+test('finds a passage whose words were edited, within a quarter of its length', () => {
+  const q = quote('The cell membrane controls what enters the cell.');
+  const edited = TEXT.replace('controls what enters', 'controls which things enter');
+  assert.strictEqual(at(edited, locatePassage(edited, q)), 'The cell membrane controls which things enter the cell.');
+  const rewritten = TEXT.replace('The cell membrane controls what enters the cell.', 'Membranes are selectively permeable barriers.');
+  assert.strictEqual(locatePassage(rewritten, q), null);
+});
+
+test('short quotes must match exactly', () => {
+  assert.strictEqual(locatePassage(TEXT, { exact: 'plant walls' }), null);
+  assert.strictEqual(locatePassage(TEXT, { exact: '' }), null);
+});
+
+test('fuzzyFind returns the closest stretch, preferring the one nearest the hint', () => {
+  const text = 'alpha betta gamma … alpha bettx gamma';
+  assert.deepStrictEqual(fuzzyFind(text, 'alpha beta gamma', 2, 0, text.length, null), { start: 0, end: 17 });
+  const near = fuzzyFind('xx abcd xx abcd', 'abce', 1, 0, 15, 12);
+  assert.deepStrictEqual(near, { start: 11, end: 14 });
+  assert.strictEqual(fuzzyFind(text, 'omega delta', 2, 0, text.length, null), null);
+});
@@ -0,0 +1,27 @@
+/**
+ * Uploaded documents → blocks (lib/extract.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const JSZip = require('jszip');
+const { extractDocument } = require('../lib/extract');
+
+test('reads Markdown into headings and paragraphs', async () => {
+  const doc = await extractDocument(Buffer.from('# Cells\n\nA cell is the smallest unit of life.\n'), { filename: 'cells.md' });
+  assert.strictEqual(doc.fileType, 'markdown');
+  assert.deepStrictEqual(doc.blocks.map(b => b.type), ['heading', 'paragraph']);
+});
+
+test('refuses a Word document that unpacks to more than the limit', async () => {
+  const zip = new JSZip();
+  zip.file('word/document.xml', '<w:document/>');
+  // Zeros compress about a thousandfold: 210 MB in a few hundred kilobytes
+  zip.file('word/media/padding.bin', Buffer.alloc(210 * 1024 * 1024));
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  await assert.rejects(extractDocument(buffer, { filename: 'bomb.docx' }), { status: 413 });
+});
+
+test('refuses a file that is not the zip its name says', async () => {
+  await assert.rejects(extractDocument(Buffer.from('plain text'), { filename: 'notes.epub' }), { status: 422 });
+});
@@ -0,0 +1,51 @@
+/**
+ * Recorded replies — the starter set, and which fixture answers a request (lib/fixtures.js)
+ */
+
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { loadFixtures, findFixture } = require('../lib/fixtures');
+const { hashKey } = require('../lib/cache');
+const { listTemplates } = require('../lib/prompts');
+
+let fixtures;
+test.before(async () => { fixtures = await loadFixtures(path.join(__dirname, '..', 'fixtures')); });
+
+test('the starter set answers every Nova and Rhizo template', () => {
+  for (const { id } of listTemplates().filter(t => /^(nova|rhizo)\./.test(t.id))) {
+    assert.ok(fixtures.some(f => f.tags?.template === id), `no fixture for ${id}`);
+  }
+});
+
+const request = (tags, user = 'Make a map.') => ({ system: 'You map concepts.', messages: [{ role: 'user', content: user }], tags });
+const MAP_TAGS = { tool: 'nova', activity: 'conceptmap', template: 'nova.conceptmap', schema: 'nova.conceptmap' };
+const map = title => ({ title, nodes: [{ id: 'a', label: 'A' }, { id: 'b', label: 'B' }], edges: [{ from: 'a', to: 'b' }] });
+
+test('findFixture prefers the fixture recorded for exactly the same request', () => {
+  const exact = { key: hashKey({ system: 'You map concepts.', messages: request().messages }), tags: {}, text: 'Recorded' };
+  const tagged = { tags: MAP_TAGS, json: map('Tagged') };
+  assert.strictEqual(findFixture([tagged, exact], request(MAP_TAGS)), exact);
+});
+
+test('findFixture falls back to the same tags, then the same template and schema', () => {
+  const tagged = { tags: MAP_TAGS, json: map('Nova') };
+  const elsewhere = { tags: { ...MAP_TAGS, tool: 'companion', activity: null }, json: map('Elsewhere') };
+  assert.strictEqual(findFixture([elsewhere, tagged], request(MAP_TAGS)), tagged);
+  assert.strictEqual(findFixture([elsewhere], request(MAP_TAGS)), elsewhere);
+  assert.strictEqual(findFixture([tagged], request({ ...MAP_TAGS, template: 'nova.timeline', schema: 'nova.timeline' })), null);
+  assert.strictEqual(findFixture([tagged], request({})), null);
+});
+
+test('findFixture prefers replies that fit the schema, and picks the same one each time', () => {
+  const broken = { tags: MAP_TAGS, text: 'not json' };
+  const fits = [1, 2, 3].map(n => ({ tags: MAP_TAGS, json: map(`Map ${n}`) }));
+  const all = [broken, ...fits];
+  for (const user of ['One', 'Two', 'Three', 'Four']) {
+    const found = findFixture(all, request(MAP_TAGS, user));
+    assert.ok(fits.includes(found), user);
+    assert.strictEqual(findFixture(all, request(MAP_TAGS, user)), found);
+  }
+  assert.strictEqual(findFixture([broken], request(MAP_TAGS)), broken);
+});
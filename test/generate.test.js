@@ -0,0 +1,145 @@
+/**
+ * POST /api/generate — the reply cache and checked JSON (lib/routes/generate.js,
+ * lib/cache.js, lib/schemas.js)
+ */
+
+const { serve } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createApp } = require('../lib/app');
+const { wantsFresh } = require('../lib/cache');
+const { getProvider } = require('../lib/providers');
+
+let server;
+test.before(async () => { server = await serve(createApp()); });
+test.after(() => server.close());
+
+function generate(body) {
+  return fetch(`${server.url}/api/generate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+}
+
+test('serves a repeated request from the cache', async () => {
+  const body = { prompt: 'Explain osmosis in one line.', tool: 'nova', activity: 'test' };
+  const first = await generate(body);
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.headers.get('x-cache'), 'MISS');
+  const second = await generate(body);
+  assert.strictEqual(second.headers.get('x-cache'), 'HIT');
+  assert.deepStrictEqual((await second.json()).content, (await first.json()).content);
+});
+
+test('skips the cache when the request asks for a fresh reply', async () => {
+  const body = { prompt: 'Explain diffusion in one line.' };
+  assert.strictEqual((await generate(body)).headers.get('x-cache'), 'MISS');
+  assert.strictEqual((await generate({ ...body, fresh: true })).headers.get('x-cache'), 'MISS');
+  assert.strictEqual((await generate(body)).headers.get('x-cache'), 'HIT');
+});
+
+test('wantsFresh reads the body, the query and Cache-Control', () => {
+  const req = (over = {}) => ({ query: {}, body: {}, get: () => '', ...over });
+  assert.strictEqual(wantsFresh(req()), false);
+  assert.strictEqual(wantsFresh(req({ body: { fresh: true } })), true);
+  assert.strictEqual(wantsFresh(req({ query: { fresh: '1' } })), true);
+  assert.strictEqual(wantsFresh(req({ get: () => 'no-cache' })), true);
+});
+
+test('the mock provider answers a checked request with JSON that fits', async () => {
+  const res = await generate({ prompt: 'Write a quiz on mitosis.', schema: 'activity-builder.quiz' });
+  assert.strictEqual(res.status, 200);
+  const body = await res.json();
+  assert.strictEqual(body.schema, 'activity-builder.quiz');
+  assert.strictEqual(body.repaired, undefined);
+  const [question] = JSON.parse(body.content[0].text);
+  assert.strictEqual(question.answers.filter(a => a.correct).length, 1);
+});
+
+// Replaces the provider's replies, in order, for one test
+function replyWith(t, ...texts) {
+  const provider = getProvider();
+  const calls = [];
+  t.mock.method(provider, 'generate', async params => {
+    calls.push(params);
+    return { content: [{ type: 'text', text: texts[calls.length - 1] }], usage: { input_tokens: 1, output_tokens: 1 }, stop_reason: 'end_turn' };
+  });
+  return calls;
+}
+
+test('asks once for a correction when a reply does not fit its schema', async t => {
+  const calls = replyWith(t, '[{"front": "Cell"}]', '[{"front": "Cell", "back": "The unit of life"}]');
+  const res = await generate({ prompt: 'Flashcards on cells.', schema: 'activity-builder.flashcards' });
+  const body = await res.json();
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(body.repaired, true);
+  assert.deepStrictEqual(JSON.parse(body.content[0].text), [{ front: 'Cell', back: 'The unit of life' }]);
+  assert.strictEqual(calls.length, 2);
+  assert.match(calls[1].messages.at(-1).content, /\$\[0\]\.back: missing/);
+});
+
+test('fails with 502 when the correction does not fit either', async t => {
+  const calls = replyWith(t, 'not json', '[]');
+  const res = await generate({ prompt: 'Flashcards on tissues.', schema: 'activity-builder.flashcards' });
+  assert.strictEqual(res.status, 502);
+  assert.match((await res.json()).error, /even after asking for a correction/);
+  assert.strictEqual(calls.length, 2);
+});
+
+// A reading of sections, each under its own heading and short enough to stay whole
+function longReading(sections) {
+  const body = n => Array.from({ length: 400 }, (_, i) => `Topic ${n} sentence ${i}.`).join(' ');
+  return Array.from({ length: sections }, (_, n) => `# Topic ${n + 1}\n\n${body(n + 1)}`).join('\n\n');
+}
+
+test('condenses a long reading section by section, then runs the prompt on the notes', async t => {
+  const calls = [];
+  t.mock.method(getProvider(), 'generate', async params => {
+    calls.push(params);
+    const user = params.messages.at(-1).content;
+    const text = /Summarise the notes/.test(user) ? 'The whole reading, summarised.' : `Notes on ${user.match(/# (Topic \d+)/)?.[1]}`;
+    return { content: [{ type: 'text', text }], usage: { input_tokens: 1, output_tokens: 1 }, stop_reason: 'end_turn' };
+  });
+  const res = await generate({
+    prompt: 'Summarise the notes below.\n\n{{content}}',
+    variables: { content: longReading(4) },
+    chunking: { variable: 'content', task: 'a summary' },
+  });
+  const body = await res.json();
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(body.sections, 4);
+  assert.strictEqual(calls.length, 5);
+  assert.strictEqual(body.content[0].text, 'The whole reading, summarised.');
+  const final = calls.at(-1).messages.at(-1).content;
+  assert.match(final, new RegExp(`Notes on all ${body.sections} sections`));
+  for (const topic of ['Topic 1', 'Topic 4']) assert.ok(final.includes(`Notes on ${topic}`), topic);
+});
+
+test('asks each section of a long reading for its share of a list and merges them', async t => {
+  const calls = [];
+  t.mock.method(getProvider(), 'generate', async params => {
+    calls.push(params);
+    const user = params.messages.at(-1).content;
+    const topic = user.match(/# (Topic \d+)/)[1];
+    const count = Number(user.match(/Generate exactly (\d+) flashcards/)[1]);
+    const cards = Array.from({ length: count }, (_, i) => ({ front: `${topic} card ${i + 1}`, back: 'An answer.' }));
+    // Every section repeats one card and adds one that does not fit the schema
+    cards.push({ front: 'Shared card', back: 'Seen in every section.' }, { front: 'No back' });
+    return { content: [{ type: 'text', text: JSON.stringify(cards) }], usage: { input_tokens: 1, output_tokens: 1 }, stop_reason: 'end_turn' };
+  });
+  const res = await generate({
+    template: 'activity-builder.flashcards',
+    variables: { resource: 'Biology', discipline: 'Biology', difficulty: 'Introductory', count: '8', content: longReading(4) },
+    chunking: { variable: 'content', merge: 'list' },
+  });
+  const body = await res.json();
+  assert.strictEqual(res.status, 200);
+  const cards = JSON.parse(body.content[0].text);
+  assert.strictEqual(cards.length, 8);
+  assert.strictEqual(new Set(cards.map(c => c.front)).size, 8);
+  assert.ok(cards.every(c => c.back));
+  assert.ok(cards.some(c => c.front.startsWith('Topic 1')) && cards.some(c => c.front.startsWith('Topic 4')));
+  assert.strictEqual(body.sections, 4);
+  assert.strictEqual(calls.length, 4);
+});
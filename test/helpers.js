@@ -0,0 +1,30 @@
+/**
+ * Shared set-up for the tests. Require this before anything in lib/: it
+ * points DATA_DIR and CACHE_DIR at a fresh temporary folder (config is read
+ * once, when lib/config.js is first loaded) and uses the mock provider.
+ *
+ *   serve(app)  → { url, close() } — the app listening on a free local port
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'open-margins-test-'));
+process.env.DATA_DIR ??= path.join(tmp, 'data');
+process.env.CACHE_DIR ??= path.join(tmp, 'cache');
+process.env.AI_PROVIDER ??= 'mock';
+process.on('exit', () => fs.rmSync(tmp, { recursive: true, force: true }));
+
+function serve(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => { server.closeAllConnections(); server.close(done); }),
+      });
+    });
+  });
+}
+
+module.exports = { serve };
@@ -0,0 +1,93 @@
+/**
+ * Course packages: Common Cartridge and Moodle backups (lib/packages.js)
+ */
+
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const JSZip = require('jszip');
+const { importPackage, packageToc, packageChapter } = require('../lib/packages');
+
+const MANIFEST = `<?xml version="1.0"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imsccv1p1/imscp_v1p1" xmlns:lomimscc="http://ltsc.ieee.org/xsd/imsccv1p1/LOM/manifest">
+  <metadata><lomimscc:lom><lomimscc:general><lomimscc:title><lomimscc:string>Biology 1110</lomimscc:string></lomimscc:title></lomimscc:general></lomimscc:lom></metadata>
+  <organizations><organization><item identifier="root">
+    <item identifier="m1"><title>Week 1</title>
+      <item identifier="i1" identifierref="r1"><title>Cells</title></item>
+      <item identifier="i2" identifierref="r2"><title>Quiz</title></item>
+    </item>
+  </item></organization></organizations>
+  <resources>
+    <resource identifier="r1" type="webcontent" href="pages/cells.html"><file href="pages/cells.html"/></resource>
+    <resource identifier="r2" type="imsqti_xmlv1p2/imscc_xmlv1p1/assessment" href="quiz.xml"/>
+  </resources>
+</manifest>`;
+
+async function cartridge() {
+  const zip = new JSZip();
+  zip.file('imsmanifest.xml', MANIFEST);
+  zip.file('pages/cells.html', '<h1>Cells</h1><p>A cell is the smallest unit of life.</p>');
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+// A ustar archive of { name: text }
+function tar(files) {
+  const blocks = [];
+  for (const [name, text] of Object.entries(files)) {
+    const body = Buffer.from(text);
+    const header = Buffer.alloc(512);
+    header.write(name, 0);
+    header.write('0000644\0', 100);
+    header.write(`${body.length.toString(8).padStart(11, '0')}\0`, 124);
+    header.write('0', 156);
+    header.write('ustar\0', 257);
+    header.write('        ', 148);
+    const sum = header.reduce((n, b) => n + b, 0);
+    header.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148);
+    blocks.push(header, body, Buffer.alloc((512 - (body.length % 512)) % 512));
+  }
+  return Buffer.concat([...blocks, Buffer.alloc(1024)]);
+}
+
+function moodleBackup() {
+  return zlib.gzipSync(tar({
+    'moodle_backup.xml': `<moodle_backup><information><original_course_fullname>Chemistry 1500</original_course_fullname><contents>
+      <activities><activity><moduleid>7</moduleid><sectionid>1</sectionid><modulename>page</modulename><title>Atoms</title><directory>activities/page_7</directory></activity></activities>
+      <sections><section><sectionid>1</sectionid><title>Topic 1</title><directory>sections/section_1</directory></section></sections>
+    </contents></information></moodle_backup>`,
+    'sections/section_1/section.xml': '<section id="1"><sequence>7</sequence><summary></summary></section>',
+    'activities/page_7/page.xml': '<activity><page id="1"><content>&lt;p&gt;Atoms are made of protons, neutrons and electrons.&lt;/p&gt;</content></page></activity>',
+  }));
+}
+
+test('imports a Common Cartridge as parts and chapters, skipping quizzes', async () => {
+  const result = await importPackage(await cartridge(), 'bio.imscc');
+  assert.strictEqual(result.title, 'Biology 1110');
+  assert.strictEqual(result.chapterCount, 1);
+  assert.deepStrictEqual(result.skipped.map(s => s.title), ['Quiz']);
+  const [part] = packageToc(result.bookUrl);
+  assert.strictEqual(part.title, 'Week 1');
+  const chapter = packageChapter(result.bookUrl, part.chapters[0].id);
+  assert.match(chapter.text, /smallest unit of life/);
+});
+
+test('imports a gzipped Moodle backup', async () => {
+  const result = await importPackage(moodleBackup(), 'chem.mbz');
+  assert.strictEqual(result.kind, 'moodle');
+  assert.strictEqual(result.title, 'Chemistry 1500');
+  const [part] = packageToc(result.bookUrl);
+  assert.strictEqual(part.title, 'Topic 1');
+  assert.match(packageChapter(result.bookUrl, part.chapters[0].id).text, /protons, neutrons/);
+});
+
+test('finds only the package\'s own chapters, not object properties', async () => {
+  const { bookUrl } = await importPackage(await cartridge(), 'bio.imscc');
+  for (const id of ['constructor', '__proto__', 'toString', '99']) {
+    assert.throws(() => packageChapter(bookUrl, id), { status: 404 });
+  }
+});
+
+test('refuses a package that is not an archive', async () => {
+  await assert.rejects(importPackage(Buffer.from('hello'), 'x.imscc'), { status: 422 });
+});
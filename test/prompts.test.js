@@ -0,0 +1,62 @@
+/**
+ * Prompt templates — filling variables and partials (lib/prompts.js)
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderTemplate, listTemplates } = require('../lib/prompts');
+const { hasSchema } = require('../lib/schemas');
+
+const context = 'Photosynthesis';
+const excerpt = 'The Calvin cycle fixes carbon dioxide into sugar.';
+
+test('fills the related-passages partial', () => {
+  const { user } = renderTemplate('companion.illuminate', { context, excerpt, passages: '[1] Cellular respiration: ATP is made.' });
+  assert.match(user, /RELATED PASSAGES/);
+  assert.match(user, /\[1\] Cellular respiration: ATP is made\./);
+});
+
+test('leaves {{…}} in a retrieved passage as written', () => {
+  const passages = '[1] Notes: {{energy}} is conserved; {{excerpt}} stays; \\frac{{a}}{b}';
+  const { user } = renderTemplate('companion.illuminate', { context, excerpt, passages });
+  assert.ok(user.includes(passages));
+});
+
+test('leaves {{…}} in a variable\'s value as written', () => {
+  const { user } = renderTemplate('companion.illuminate', { context, excerpt: 'Write {{context}} here.' });
+  assert.ok(user.includes('Write {{context}} here.'));
+});
+
+test('names a variable that was not given', () => {
+  assert.throws(() => renderTemplate('companion.illuminate', { excerpt }), /Missing prompt variable: context\./);
+});
+
+test('every Nova and Rhizo activity has a template checked against its schema', () => {
+  const ids = new Set(listTemplates().map(t => t.id));
+  for (const activity of ['nova.conceptmap', 'nova.tribunal', 'nova.analogy', 'nova.timeline', 'nova.assumptions',
+    'nova.transfer', 'nova.questions', 'rhizo.garden', 'rhizo.uncertainty', 'rhizo.council', 'rhizo.nomad',
+    'rhizo.contract', 'rhizo.trust', 'rhizo.abundance', 'rhizo.breadcrumb']) {
+    assert.ok(ids.has(activity) && hasSchema(activity), activity);
+    const { system, user } = renderTemplate(activity, { content: excerpt });
+    assert.ok(system && user.includes(excerpt), activity);
+    assert.doesNotMatch(user, /Focus/);
+  }
+  assert.match(renderTemplate('rhizo.garden', { content: excerpt, focus: 'carbon' }).user, /Focus: carbon/);
+});
+
+test('the Socratic tutor opens, then answers the conversation so far', () => {
+  const opening = renderTemplate('nova.socratic', { content: excerpt });
+  assert.ok(opening.system.includes(excerpt));
+  assert.strictEqual(opening.user, 'Begin the Socratic dialogue with your opening question.');
+  const { user } = renderTemplate('nova.socratic', { content: excerpt, conversation: 'TUTOR: Where does the carbon go?', reply: 'Into sugar.' });
+  assert.match(user, /^Conversation so far:\nTUTOR: Where does the carbon go\?\n\nSTUDENT: Into sugar\./);
+});
+
+test('feedback templates follow the task they are given', () => {
+  const feedback = task => renderTemplate('nova.transfer-feedback', { concept: 'Limiting factors', task, response: 'Triage nurses.' }).user;
+  assert.match(feedback('apply'), /Their task was to explain step by step/);
+  assert.match(feedback('insight'), /Their task was to reflect on what the transfer process revealed/);
+  assert.match(feedback('apply'), /chose a scenario from the activity/);
+});
@@ -0,0 +1,108 @@
+/**
+ * Model request queue — slots, retries and backoff (lib/queue.js)
+ */
+
+process.env.AI_CONCURRENCY = '1';
+process.env.AI_RETRIES = '2';
+const test = require('node:test');
+const assert = require('node:assert');
+const { withQueue, queueStatus } = require('../lib/queue');
+
+function failure(status, retryAfter) {
+  return Object.assign(new Error(`HTTP ${status}`), { status, retryAfter });
+}
+
+// A provider that answers each call with the next of outcomes (an Error is thrown)
+function providerOf(...outcomes) {
+  const calls = [];
+  return {
+    calls,
+    provider: withQueue({
+      label: 'Test model',
+      async generate(params) {
+        calls.push(params);
+        const outcome = outcomes[calls.length - 1];
+        if (outcome instanceof Error) throw outcome;
+        return outcome;
+      },
+    }),
+  };
+}
+
+// Waits for pending callbacks, so the queue can reach its next await
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('retries a busy backend after its Retry-After and returns the answer', async t => {
+  t.mock.method(console, 'log', () => {});
+  const { provider, calls } = providerOf(failure(529, '0'), failure(503, '0'), 'answer');
+  assert.strictEqual(await provider.generate({}), 'answer');
+  assert.strictEqual(calls.length, 3);
+});
+
+test('gives up after AI_RETRIES retries with the last error', async t => {
+  t.mock.method(console, 'log', () => {});
+  const { provider, calls } = providerOf(failure(429, '0'), failure(429, '0'), failure(429, '0'), 'too late');
+  await assert.rejects(provider.generate({}), { status: 429 });
+  assert.strictEqual(calls.length, 3);
+});
+
+test('does not retry an error that will not go away', async () => {
+  const { provider, calls } = providerOf(failure(400), 'never');
+  await assert.rejects(provider.generate({}), { status: 400 });
+  assert.strictEqual(calls.length, 1);
+});
+
+test('backs off 1 s, then 2 s, when the backend gives no Retry-After', async t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(Math, 'random', () => 0.5); // no jitter
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { provider, calls } = providerOf(failure(502), failure(502), 'answer');
+  const reply = provider.generate({ ticket: 'backoff' });
+
+  await settle();
+  assert.strictEqual(calls.length, 1);
+  assert.deepStrictEqual(queueStatus('backoff'), { state: 'retrying', attempt: 1, retryIn: 1 });
+  t.mock.timers.tick(999);
+  await settle();
+  assert.strictEqual(calls.length, 1);
+  t.mock.timers.tick(1);
+  await settle();
+  assert.strictEqual(calls.length, 2);
+  t.mock.timers.tick(2000);
+  assert.strictEqual(await reply, 'answer');
+  assert.strictEqual(calls.length, 3);
+  assert.strictEqual(queueStatus('backoff'), null);
+});
+
+test('runs AI_CONCURRENCY requests at once and tells the rest their place', async () => {
+  let finish;
+  const provider = withQueue({
+    label: 'Test model',
+    generate: ({ ticket }) => ticket === 'first' ? new Promise(resolve => { finish = resolve; }) : Promise.resolve(ticket),
+  });
+  const first = provider.generate({ ticket: 'first' });
+  const second = provider.generate({ ticket: 'second' });
+  const third = provider.generate({ ticket: 'third' });
+  await settle();
+  assert.deepStrictEqual(queueStatus('first'), { state: 'running' });
+  assert.deepStrictEqual(queueStatus('second'), { state: 'queued', ahead: 0 });
+  assert.deepStrictEqual(queueStatus('third'), { state: 'queued', ahead: 1 });
+
+  finish('first');
+  assert.deepStrictEqual(await Promise.all([first, second, third]), ['first', 'second', 'third']);
+  assert.strictEqual(queueStatus('third'), null);
+});
+
+test('a waiting request that is aborted leaves the queue', async () => {
+  let finish;
+  const provider = withQueue({ label: 'Test model', generate: () => new Promise(resolve => { finish = resolve; }) });
+  const running = provider.generate({});
+  const controller = new AbortController();
+  const waiting = provider.generate({ ticket: 'impatient', signal: controller.signal });
+  await settle();
+  controller.abort();
+  await assert.rejects(waiting, { name: 'AbortError' });
+  assert.strictEqual(queueStatus('impatient'), null);
+  finish('done');
+  assert.strictEqual(await running, 'done');
+});
@@ -0,0 +1,63 @@
+/**
+ * Passage retrieval over a reader's sources (lib/retrieval.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { indexFor, search, formatPassages } = require('../lib/retrieval');
+
+// Enough unrelated text that each heading is a passage of its own
+const filler = word => Array.from({ length: 30 }, (_, i) => `A ${word} remark, number ${i}.`).join(' ');
+
+const SOURCES = [
+  {
+    label: 'Chapter 1',
+    text: [
+      '# Cells',
+      'Every living thing is made of cells. A cell membrane regulates what enters and leaves the cell.',
+      filler('tissue'),
+      '# Energy',
+      'Mitochondria release energy from glucose through cellular respiration.',
+      filler('organ'),
+    ].join('\n\n'),
+  },
+  {
+    label: 'Chapter 2',
+    text: '# Plants\n\nPhotosynthesis in chloroplasts turns light into chemical energy stored as glucose.',
+  },
+];
+
+test('finds the passages that share the query\'s terms, best first', () => {
+  const hits = search(indexFor(SOURCES), 'How is energy stored in glucose?');
+  assert.deepStrictEqual(hits.map(h => [h.n, h.source, h.section]), [
+    [1, 'Chapter 2', 'Plants'],
+    [2, 'Chapter 1', 'Energy'],
+  ]);
+  assert.ok(hits[0].score > hits[1].score);
+});
+
+test('matches simple word forms ("regulated" finds "regulates")', () => {
+  const [hit] = search(indexFor(SOURCES), 'membranes regulated');
+  assert.strictEqual(hit.section, 'Cells');
+});
+
+test('leaves out the passage the prompt already quotes, and stops at k', () => {
+  const index = indexFor(SOURCES);
+  const skip = 'Mitochondria release   energy from glucose';
+  assert.ok(search(index, 'energy glucose', { skip }).every(h => h.section !== 'Energy'));
+  assert.strictEqual(search(index, 'energy glucose', { k: 1 }).length, 1);
+  assert.deepStrictEqual(search(index, 'the of and'), []);
+});
+
+test('reuses the index for the same sources', () => {
+  assert.strictEqual(indexFor(SOURCES), indexFor(SOURCES.map(s => ({ ...s }))));
+  assert.notStrictEqual(indexFor(SOURCES), indexFor(SOURCES.slice(1)));
+});
+
+test('numbers and labels passages for a prompt', () => {
+  const text = formatPassages([
+    { n: 1, source: 'Chapter 2', section: 'Plants', text: 'Photosynthesis…' },
+    { n: 2, source: 'Notes', section: 'Notes', text: 'Pasted text.' },
+  ]);
+  assert.strictEqual(text, '[1] Chapter 2 — Plants\nPhotosynthesis…\n\n[2] Notes\nPasted text.');
+});
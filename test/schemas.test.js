@@ -0,0 +1,72 @@
+/**
+ * Output schemas — checking and sampling model replies (lib/schemas.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { hasSchema, checkReply, validItems, sample } = require('../lib/schemas');
+
+// Every schema id, as lib/schemas.js lists them
+const IDS = [...fs.readFileSync(path.join(__dirname, '..', 'lib', 'schemas.js'), 'utf8')
+  .matchAll(/^ {2}'([\w.-]+)': (?:list|object)\(/gm)].map(m => m[1]);
+
+const MAP = {
+  title: 'Cells',
+  nodes: [{ id: 'n1', label: 'Cell' }, { id: 'n2', label: 'Nucleus' }],
+  edges: [{ from: 'n1', to: 'n2', label: 'contains' }],
+};
+
+test('knows the schemas it lists, and nothing inherited', () => {
+  assert.ok(IDS.length > 20);
+  for (const id of IDS) assert.ok(hasSchema(id), id);
+  assert.strictEqual(hasSchema('toString'), false);
+  assert.strictEqual(hasSchema('nova.nothing'), false);
+});
+
+test('accepts a reply that fits, inside code fences or prose', () => {
+  for (const text of [JSON.stringify(MAP), '```json\n' + JSON.stringify(MAP) + '\n```', `Here is the map:\n${JSON.stringify(MAP)}\nEnjoy.`]) {
+    const { data, errors } = checkReply('nova.conceptmap', text);
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(data, MAP);
+  }
+});
+
+test('names what is wrong, with a path into the reply', () => {
+  const { errors } = checkReply('nova.conceptmap', JSON.stringify({ ...MAP, title: '', edges: [{ from: 'n1', to: 7 }] }));
+  assert.deepStrictEqual(errors, ['$.title: must not be empty', '$.edges[0].to: expected text, got integer']);
+});
+
+test('cross-checks once the shape is right', () => {
+  const { errors } = checkReply('nova.conceptmap', JSON.stringify({ ...MAP, edges: [{ from: 'n1', to: 'n19' }] }));
+  assert.deepStrictEqual(errors, ['$.edges[0].to: "n19" is not the id of a node']);
+
+  const arc = [{ title: 'Open', duration: 10, description: 'd', activity: 'a', activityType: 't' }];
+  assert.strictEqual(checkReply('sylva.lesson-arc', JSON.stringify(arc), { duration: '10' }).errors.length, 0);
+  assert.match(checkReply('sylva.lesson-arc', JSON.stringify(arc), { duration: '50' }).errors[0], /add up to 10 minutes/);
+});
+
+test('reports a reply that is not JSON', () => {
+  const { data, errors } = checkReply('nova.conceptmap', 'Sorry, I cannot help with that.');
+  assert.strictEqual(data, undefined);
+  assert.match(errors[0], /^the reply is not valid JSON/);
+});
+
+test('validItems keeps the items of a list that pass on their own', () => {
+  const cards = [{ front: 'Cell', back: 'The unit of life' }, { front: '', back: 'Blank front' }, { back: 'No front' }];
+  assert.deepStrictEqual(validItems('activity-builder.flashcards', cards), [cards[0]]);
+  const quiz = [
+    { text: 'Q1', answers: [{ text: 'a', correct: true }, { text: 'b', correct: false }] },
+    { text: 'Q2', answers: [{ text: 'a', correct: false }, { text: 'b', correct: false }] },
+  ];
+  assert.deepStrictEqual(validItems('activity-builder.quiz', quiz), [quiz[0]]);
+});
+
+test('every sample fits its own schema', () => {
+  const variables = { duration: '75' };
+  for (const id of IDS) {
+    const { errors } = checkReply(id, JSON.stringify(sample(id, variables)), variables);
+    assert.deepStrictEqual(errors, [], id);
+  }
+});
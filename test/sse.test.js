@@ -0,0 +1,39 @@
+/**
+ * Server-Sent Events — reading an upstream stream (lib/sse.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { readEventStream } = require('../lib/sse');
+
+async function read(chunks) {
+  const events = [];
+  for await (const e of readEventStream(chunks.map(c => Buffer.from(c)))) events.push(e);
+  return events;
+}
+
+test('reads events separated by blank lines', async () => {
+  const events = await read(['event: delta\ndata: {"text":"a"}\n\nevent: done\ndata: {}\n\n']);
+  assert.deepStrictEqual(events, [{ event: 'delta', data: { text: 'a' } }, { event: 'done', data: {} }]);
+});
+
+test('splits events on \\r\\n\\r\\n as they arrive', async () => {
+  const chunks = ['event: delta\r\ndata: {"text":"a"}\r\n\r\nevent: del', 'ta\r\ndata: {"text":"b"}\r', '\n\r\n'];
+  const events = await read(chunks);
+  assert.deepStrictEqual(events.map(e => e.data.text), ['a', 'b']);
+});
+
+test('yields an event before the stream ends', async () => {
+  async function* body() {
+    yield Buffer.from('data: {"n":1}\r\n\r\n');
+    await new Promise(() => {}); // never ends
+  }
+  const iterator = readEventStream(body());
+  const first = await iterator.next();
+  assert.deepStrictEqual(first.value, { event: 'message', data: { n: 1 } });
+});
+
+test('reads a final event with no blank line after it', async () => {
+  const events = await read(['data: plain text']);
+  assert.deepStrictEqual(events, [{ event: 'message', data: 'plain text' }]);
+});
@@ -0,0 +1,87 @@
+/**
+ * JSON files in DATA_DIR (lib/store.js) and the small shared helpers
+ * (lib/util.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore, writeFileAtomicSync, writeFileAtomic } = require('../lib/store');
+const { csvCell, errorSender } = require('../lib/util');
+const { HttpError } = require('../lib/errors');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'open-margins-store-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('writes files whole, creating the folder, and leaves no temporary file', async () => {
+  const sync = path.join(dir, 'a', 'sync.json');
+  writeFileAtomicSync(sync, '{"n":1}');
+  assert.strictEqual(fs.readFileSync(sync, 'utf8'), '{"n":1}');
+
+  const async = path.join(dir, 'b', 'async.json');
+  await writeFileAtomic(async, '{"n":2}');
+  assert.strictEqual(fs.readFileSync(async, 'utf8'), '{"n":2}');
+  assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'b')), ['async.json']);
+});
+
+test('starts empty without a file, and reads back what it saved', () => {
+  const file = path.join(dir, 'codes.json');
+  const options = {
+    what: 'test codes',
+    empty: () => new Map(),
+    read: records => new Map(records.map(r => [r.code, r])),
+    write: codes => [...codes.values()],
+  };
+  const store = createStore(file, options);
+  assert.strictEqual(store.load().size, 0);
+  store.load().set('ABC', { code: 'ABC' });
+  store.save();
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), [{ code: 'ABC' }]);
+
+  const again = createStore(file, options);
+  assert.deepStrictEqual(again.load().get('ABC'), { code: 'ABC' });
+});
+
+test('an unreadable file loads as empty', t => {
+  const file = path.join(dir, 'broken.json');
+  fs.writeFileSync(file, '{ not json');
+  t.mock.method(console, 'error', () => {});
+  assert.deepStrictEqual(createStore(file, { what: 'broken' }).load(), []);
+  assert.strictEqual(console.error.mock.callCount(), 1);
+});
+
+test('saveSoon writes once, after the delay', async () => {
+  const file = path.join(dir, 'soon.json');
+  const store = createStore(file, { what: 'soon', saveDelay: 20 });
+  store.load().push(1);
+  store.saveSoon();
+  store.load().push(2);
+  store.saveSoon();
+  assert.ok(!fs.existsSync(file));
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), [1, 2]);
+});
+
+test('csvCell quotes only cells that need it', () => {
+  assert.strictEqual(csvCell('plain'), 'plain');
+  assert.strictEqual(csvCell(3), '3');
+  assert.strictEqual(csvCell('a,b'), '"a,b"');
+  assert.strictEqual(csvCell('say "hi"'), '"say ""hi"""');
+  assert.strictEqual(csvCell('two\nlines'), '"two\nlines"');
+});
+
+test('errorSender answers HttpErrors with their status and hides the rest', t => {
+  const sent = [];
+  const res = {
+    status(code) { sent.push(code); return this; },
+    json(body) { sent.push(body); return this; },
+  };
+  t.mock.method(console, 'error', () => {});
+  const sendError = errorSender('Test');
+  sendError(res, new HttpError(404, 'No such thing.'));
+  sendError(res, new Error('disk on fire'));
+  assert.deepStrictEqual(sent, [404, { error: 'No such thing.' }, 500, { error: 'Internal server error.' }]);
+  assert.deepStrictEqual(console.error.mock.calls[0].arguments, ['Test error:', 'disk on fire']);
+});
@@ -0,0 +1,57 @@
+/**
+ * Reading zip archives within a size limit (lib/zip.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const JSZip = require('jszip');
+const { openZip } = require('../lib/zip');
+
+const MB = 1024 * 1024;
+
+async function zipOf(files) {
+  const zip = new JSZip();
+  for (const [name, data] of Object.entries(files)) zip.file(name, data);
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+// Rewrites the uncompressed size every header declares, as a zip bomb would
+function declareSize(buffer, size) {
+  const out = Buffer.from(buffer);
+  for (let i = 0; i + 4 <= out.length; i++) {
+    const sig = out.readUInt32LE(i);
+    if (sig === 0x04034b50) out.writeUInt32LE(size, i + 22); // local file header
+    if (sig === 0x02014b50) out.writeUInt32LE(size, i + 24); // central directory
+  }
+  return out;
+}
+
+test('reads files and their text', async () => {
+  const archive = await openZip(await zipOf({ 'a.txt': 'hello', 'b/c.xml': '<c/>' }), { maxBytes: MB });
+  assert.strictEqual(await archive.text('a.txt'), 'hello');
+  assert.deepStrictEqual(await archive.read('b/c.xml'), Buffer.from('<c/>'));
+  assert.strictEqual(await archive.read('missing.txt'), null);
+});
+
+test('refuses a file that is not a zip', async () => {
+  await assert.rejects(openZip(Buffer.from('not a zip'), { maxBytes: MB, notZip: 'Not a package.' }), { status: 422, message: 'Not a package.' });
+});
+
+test('refuses an archive whose declared size is over the limit, before inflating', async () => {
+  const buffer = await zipOf({ 'zeros.bin': Buffer.alloc(3 * MB) });
+  await assert.rejects(openZip(buffer, { maxBytes: 2 * MB }), { status: 413 });
+});
+
+test('stops inflating a file that declares less than it holds', async () => {
+  const buffer = declareSize(await zipOf({ 'zeros.bin': Buffer.alloc(3 * MB) }), 100);
+  const archive = await openZip(buffer, { maxBytes: 2 * MB });
+  await assert.rejects(archive.read('zeros.bin'), { status: 413 });
+  await assert.rejects(archive.checkAll(), { status: 413 });
+});
+
+test('counts every file read towards the total', async () => {
+  const archive = await openZip(await zipOf({ 'a.bin': Buffer.alloc(MB), 'b.bin': Buffer.alloc(MB) }), { maxBytes: 2.5 * MB, entryBytes: 2 * MB });
+  await archive.read('a.bin');
+  await archive.read('b.bin');
+  await assert.rejects(archive.read('a.bin'), { status: 413 });
+});